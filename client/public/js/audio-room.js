@@ -14,7 +14,9 @@ class ConnectionManager {
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 2000;
     this.heartbeatInterval = null;
+    this.locationInterval = null;
     this.participants = new Map();
+    this.handQueue = [];
   }
 
   // ============================================
@@ -104,6 +106,14 @@ class ConnectionManager {
         // Error handler
         this.socket.on('error', (error) => {
           console.error('Socket error:', error);
+
+          // Server refused room:join (ROOM_FULL, ROOM_INACTIVE, ...)
+          if (error?.event === 'room:join') {
+            this.leaveDailyRoom();
+            this.onRoomJoinRejected(error);
+            return;
+          }
+
           this.onError(error);
         });
 
@@ -123,6 +133,8 @@ class ConnectionManager {
     this.socket.on('room:state', (state) => {
       console.log('📊 Room state:', state);
       this.updateParticipantsList(state.participants);
+      this.handQueue = state.handQueue || [];
+      this.onHandQueueChanged(this.handQueue);
     });
 
     this.socket.on('participant:joined', (data) => {
@@ -147,6 +159,53 @@ class ConnectionManager {
       this.disconnect();
     });
 
+    // Suspended or deleted by an admin; the server drops the socket
+    this.socket.on('account:disabled', (data) => {
+      console.warn('⛔ Account disabled:', data.reason);
+      alert(`Your account has been disabled.\nReason: ${data.reason}`);
+      this.disconnect();
+    });
+
+    // Broadcast mode
+    this.socket.on('room:mode', (data) => {
+      console.log('📢 Room mode:', data.mode);
+      this.onRoomModeChanged(data);
+    });
+
+    this.socket.on('room:speaker', (data) => {
+      this.onSpeakerChanged(data);
+    });
+
+    this.socket.on('mic:granted', (data) => {
+      console.log('🎤 Mic granted by:', data.by);
+      if (this.dailyCall) {
+        this.dailyCall.setLocalAudio(true);
+        this.updateMuteUI(false);
+      }
+      this.onMicGranted(data);
+    });
+
+    this.socket.on('mic:revoked', (data) => {
+      console.log('🔇 Mic revoked by:', data.by);
+      if (this.dailyCall) {
+        this.dailyCall.setLocalAudio(false);
+        this.updateMuteUI(true);
+      }
+      this.onMicRevoked(data);
+    });
+
+    // Raise-hand queue (server order, oldest first)
+    this.socket.on('hand:queue', (data) => {
+      console.log('✋ Hand queue:', data.queue.map(entry => entry.userName));
+      this.handQueue = data.queue;
+      this.onHandQueueChanged(data.queue);
+    });
+
+    this.socket.on('hand:accepted', (data) => {
+      console.log('✋ Hand accepted by:', data.by);
+      this.onHandAccepted(data);
+    });
+
     this.socket.on('forced-mute', (data) => {
       console.warn('🔇 Force muted by:', data.by);
       if (this.dailyCall) {
@@ -156,6 +215,55 @@ class ConnectionManager {
       alert(`You have been muted by ${data.by}`);
     });
 
+    // Mic allowed again; the user unmutes when ready
+    this.socket.on('forced-unmute', (data) => {
+      console.log('🎤 Unmuted by:', data.by, data.canSpeak);
+      if (data.canSpeak) {
+        this.showNotification(`${data.by} allowed you to speak again`, 'info');
+      }
+    });
+
+    // Everyone except admins (hosts) muted / released
+    this.socket.on('room:muted-all', (data) => {
+      console.log('🔇 Room muted-all:', data.mutedAll);
+      const isHost = this.dailyCall?.participants().local.owner;
+      if (data.mutedAll && this.dailyCall && !isHost) {
+        this.dailyCall.setLocalAudio(false);
+        this.updateMuteUI(true);
+      }
+      this.onRoomMutedAll(data);
+    });
+
+    // Chat events
+    this.socket.on('chat:message', (data) => {
+      this.onChatMessage(data);
+    });
+
+    this.socket.on('chat:history', (data) => {
+      this.onChatHistory(data);
+    });
+
+    this.socket.on('chat:deleted', (data) => {
+      console.log('🗑️ Chat message deleted by:', data.by);
+      this.onChatDeleted(data);
+    });
+
+    // Announcements from the mutowif (room or whole group)
+    this.socket.on('announcement:new', (data) => {
+      console.log('📢 Announcement:', data.message);
+      this.onAnnouncement(data);
+    });
+
+    this.socket.on('announcement:unpinned', (data) => {
+      this.onAnnouncementUnpinned(data);
+    });
+
+    // Itinerary reminder (the room opens shortly before startsAt)
+    this.socket.on('session:starting-soon', (data) => {
+      console.log(`⏰ ${data.title} starts in ${data.minutesLeft} min`);
+      this.onSessionStartingSoon(data);
+    });
+
     // Emergency events
     this.socket.on('emergency:received', (data) => {
       console.warn('🚨 Emergency alert:', data);
@@ -166,6 +274,32 @@ class ConnectionManager {
       console.log('✅ Emergency sent:', data);
       this.showNotification('Emergency alert sent successfully', 'success');
     });
+
+    // Status changes on an incident (sender and responsible admins)
+    this.socket.on('emergency:updated', (data) => {
+      console.log('🚨 Emergency updated:', data.emergencyId, data.status);
+      this.onEmergencyUpdated(data);
+    });
+
+    // Live location (admins)
+    this.socket.on('location:group', (data) => {
+      this.onGroupLocations(data);
+    });
+
+    this.socket.on('location:separated', (data) => {
+      console.warn('📍 Jamaah separated from group:', data.userName, `${data.distance}m`);
+      this.onMemberSeparated(data);
+    });
+
+    this.socket.on('location:returned', (data) => {
+      console.log('📍 Jamaah back with group:', data.userName);
+      this.onMemberReturned(data);
+    });
+
+    this.socket.on('geofence:alert', (data) => {
+      console.warn('🚧 Geofence alert:', data.message);
+      this.onGeofenceAlert(data);
+    });
   }
 
   // ============================================
@@ -397,6 +531,41 @@ class ConnectionManager {
     }
   }
 
+  // ============================================
+  // LIVE LOCATION SHARING (opt-in)
+  // ============================================
+
+  startLocationSharing(intervalMs = 30000) {
+    if (this.locationInterval || !this.socket) return;
+
+    const sendLocation = async () => {
+      try {
+        const location = await this.getCurrentLocation();
+        this.socket?.emit('location:update', location);
+      } catch (error) {
+        console.warn('📍 Could not get location:', error.message);
+      }
+    };
+
+    sendLocation();
+    this.locationInterval = setInterval(sendLocation, intervalMs);
+  }
+
+  stopLocationSharing() {
+    if (!this.locationInterval) return;
+
+    clearInterval(this.locationInterval);
+    this.locationInterval = null;
+    this.socket?.emit('location:stop');
+  }
+
+  // Admin: answer arrives via onGroupLocations
+  requestGroupLocations(jamaahGroup) {
+    if (!this.socket) return;
+
+    this.socket.emit('admin:locations', { jamaahGroup });
+  }
+
   getCurrentLocation() {
     return new Promise((resolve, reject) => {
       if (!navigator.geolocation) {
@@ -424,16 +593,63 @@ class ConnectionManager {
     });
   }
 
+  // ============================================
+  // RAISE HAND (BROADCAST MODE)
+  // ============================================
+
+  raiseHand() {
+    if (!this.socket) return;
+
+    this.socket.emit('hand:raise');
+  }
+
+  lowerHand() {
+    if (!this.socket) return;
+
+    this.socket.emit('hand:lower');
+  }
+
+  isHandRaised() {
+    return this.handQueue.some(entry => entry.socketId === this.socket?.id);
+  }
+
+  // Admin: without socketId, takes the first hand in the queue
+  acceptHand(socketId) {
+    if (!this.socket) return;
+
+    this.socket.emit('admin:hand:accept', { targetSocketId: socketId });
+  }
+
+  // ============================================
+  // CHAT
+  // ============================================
+
+  // Only in rooms with chat enabled (room:joined data.chat.enabled)
+  sendChatMessage(text) {
+    if (!this.socket) return;
+
+    this.socket.emit('chat:send', { text });
+  }
+
+  // before: messageId of the oldest message shown; answered via onChatHistory
+  loadOlderChat(before) {
+    if (!this.socket) return;
+
+    this.socket.emit('chat:history', { before });
+  }
+
   // ============================================
   // ADMIN ACTIONS
   // ============================================
 
-  kickParticipant(socketId, reason) {
+  // banMinutes: how long they cannot rejoin, 0 to 1440 (server default when omitted)
+  kickParticipant(socketId, reason, banMinutes) {
     if (!this.socket) return;
 
     this.socket.emit('admin:kick', {
       targetSocketId: socketId,
-      reason: reason
+      reason: reason,
+      banMinutes: banMinutes
     });
   }
 
@@ -445,6 +661,65 @@ class ConnectionManager {
     });
   }
 
+  unmuteParticipant(socketId) {
+    if (!this.socket) return;
+
+    this.socket.emit('admin:unmute', {
+      targetSocketId: socketId
+    });
+  }
+
+  // Everyone except admins; late joiners stay muted until unmuteAll
+  muteAll(roomId) {
+    if (!this.socket) return;
+
+    this.socket.emit('admin:mute-all', { roomId });
+  }
+
+  unmuteAll(roomId) {
+    if (!this.socket) return;
+
+    this.socket.emit('admin:unmute-all', { roomId });
+  }
+
+  // Broadcast mode: give one jamaah the mic (the previous speaker loses it)
+  grantMic(socketId) {
+    if (!this.socket) return;
+
+    this.socket.emit('admin:mic:grant', { targetSocketId: socketId });
+  }
+
+  // Without socketId: whoever currently holds the mic in your room
+  revokeMic(socketId) {
+    if (!this.socket) return;
+
+    this.socket.emit('admin:mic:revoke', { targetSocketId: socketId });
+  }
+
+  acknowledgeEmergency(emergencyId, note) {
+    if (!this.socket) return;
+
+    this.socket.emit('emergency:acknowledge', { emergencyId, note });
+  }
+
+  markEmergencyEnRoute(emergencyId, note) {
+    if (!this.socket) return;
+
+    this.socket.emit('emergency:en-route', { emergencyId, note });
+  }
+
+  resolveEmergency(emergencyId, note) {
+    if (!this.socket) return;
+
+    this.socket.emit('emergency:resolve', { emergencyId, note });
+  }
+
+  deleteChatMessage(messageId) {
+    if (!this.socket) return;
+
+    this.socket.emit('admin:chat:delete', { messageId });
+  }
+
   // ============================================
   // CLEANUP & DISCONNECT
   // ============================================
@@ -454,6 +729,7 @@ class ConnectionManager {
 
     // Stop heartbeat
     this.stopHeartbeat();
+    this.stopLocationSharing();
 
     // Leave Daily room
     await this.leaveDailyRoom();
@@ -466,6 +742,7 @@ class ConnectionManager {
 
     // Clear state
     this.participants.clear();
+    this.handQueue = [];
     this.isConnected = false;
 
     console.log('✅ Disconnected successfully');
@@ -485,6 +762,11 @@ class ConnectionManager {
     console.log('Room joined callback:', data);
   }
 
+  onRoomJoinRejected(error) {
+    // Override this (error.code: ROOM_NOT_FOUND, ROOM_INACTIVE, ROOM_FULL, ...)
+    console.warn('Room join rejected callback:', error.code, error.message);
+  }
+
   onParticipantJoined(data) {
     // Override this
     console.log('Participant joined callback:', data);
@@ -515,6 +797,96 @@ class ConnectionManager {
     console.log('Emergency alert callback:', data);
   }
 
+  onRoomMutedAll(data) {
+    // Override this (data.mutedAll: true or false)
+    console.log('Room muted-all callback:', data);
+  }
+
+  onRoomModeChanged(data) {
+    // Override this (data.mode: open or broadcast)
+    console.log('Room mode callback:', data);
+  }
+
+  onSpeakerChanged(data) {
+    // Override this (data.socketId is null when nobody holds the mic)
+    console.log('Speaker changed callback:', data);
+  }
+
+  onMicGranted(data) {
+    // Override this
+    console.log('Mic granted callback:', data);
+  }
+
+  onMicRevoked(data) {
+    // Override this
+    console.log('Mic revoked callback:', data);
+  }
+
+  onHandQueueChanged(queue) {
+    // Override this (queue: [{ socketId, userId, userName, raisedAt }], oldest first)
+    console.log('Hand queue callback:', queue);
+  }
+
+  onHandAccepted(data) {
+    // Override this
+    console.log('Hand accepted callback:', data);
+  }
+
+  onGroupLocations(data) {
+    // Override this to draw the group map
+    console.log('Group locations callback:', data);
+  }
+
+  onMemberSeparated(data) {
+    // Override this
+    console.log('Member separated callback:', data);
+  }
+
+  onMemberReturned(data) {
+    // Override this
+    console.log('Member returned callback:', data);
+  }
+
+  onGeofenceAlert(data) {
+    // Override this (data.type: exit or enter, data.geofence.name)
+    console.log('Geofence alert callback:', data);
+  }
+
+  onEmergencyUpdated(data) {
+    // Override this (data.status: acknowledged, en-route, resolved)
+    console.log('Emergency updated callback:', data);
+  }
+
+  onChatMessage(data) {
+    // Override this (data: { messageId, userId, userName, text, timestamp })
+    console.log('Chat message callback:', data);
+  }
+
+  onChatHistory(data) {
+    // Override this (data.messages oldest first, data.hasMore for older pages)
+    console.log('Chat history callback:', data);
+  }
+
+  onChatDeleted(data) {
+    // Override this to remove data.messageId from the chat
+    console.log('Chat deleted callback:', data);
+  }
+
+  onAnnouncement(data) {
+    // Override this (data.pinned: keep it on screen, like room:state pinnedAnnouncement)
+    console.log('Announcement callback:', data);
+  }
+
+  onAnnouncementUnpinned(data) {
+    // Override this to drop the pinned announcement data.announcementId
+    console.log('Announcement unpinned callback:', data);
+  }
+
+  onSessionStartingSoon(data) {
+    // Override this (data: { title, type, roomId, startsAt, minutesLeft })
+    console.log('Session starting soon callback:', data);
+  }
+
   onNetworkQualityChange(event) {
     // Override this
     console.log('Network quality callback:', event);
@@ -0,0 +1,56 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('room_renewal_policies', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    jamaah_group: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    lifetime_days: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 30
+    },
+    renewal_window_hours: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 48
+    },
+    idle_days: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 7
+    },
+    auto_renew: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    updated_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('room_renewal_policies');
+}
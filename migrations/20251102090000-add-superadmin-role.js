@@ -0,0 +1,12 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.sequelize.query(
+    `ALTER TYPE "enum_users_role" ADD VALUE IF NOT EXISTS 'superadmin'`
+  );
+}
+
+export async function down(queryInterface, Sequelize) {
+  // Postgres cannot drop a single enum value; demote instead
+  await queryInterface.sequelize.query(
+    `UPDATE "users" SET "role" = 'admin' WHERE "role" = 'superadmin'`
+  );
+}
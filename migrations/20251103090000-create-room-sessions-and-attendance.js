@@ -0,0 +1,106 @@
+export async function up(queryInterface, Sequelize) {
+  // Create Room Sessions table
+  await queryInterface.createTable('room_sessions', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    room_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    started_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    ended_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    participant_count: {
+      type: Sequelize.INTEGER,
+      defaultValue: 0
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+
+  // Create Session Attendances table
+  await queryInterface.createTable('session_attendances', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    session_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'room_sessions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    user_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    },
+    socket_id: {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    },
+    joined_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    left_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    duration_seconds: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+
+  // Add indexes
+  await queryInterface.addIndex('room_sessions', ['room_id']);
+  await queryInterface.addIndex('room_sessions', ['started_at']);
+
+  await queryInterface.addIndex('session_attendances', ['session_id']);
+  await queryInterface.addIndex('session_attendances', ['user_id']);
+  await queryInterface.addIndex('session_attendances', ['session_id', 'socket_id']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('session_attendances');
+  await queryInterface.dropTable('room_sessions');
+}
@@ -0,0 +1,149 @@
+export async function up(queryInterface, Sequelize) {
+  // Create Emergencies table
+  await queryInterface.createTable('emergencies', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    user_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    },
+    jamaah_group: {
+      type: Sequelize.STRING(50),
+      allowNull: false
+    },
+    room_name: {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    },
+    message: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    latitude: {
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    },
+    longitude: {
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    },
+    accuracy: {
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    },
+    location_updated_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    status: {
+      type: Sequelize.ENUM('open', 'acknowledged', 'en-route', 'resolved'),
+      defaultValue: 'open',
+      allowNull: false
+    },
+    assigned_to: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    acknowledged_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    resolved_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    resolution_note: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+
+  // Create Emergency Actions table
+  await queryInterface.createTable('emergency_actions', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    emergency_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'emergencies',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    actor_id: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    action: {
+      type: Sequelize.STRING(50),
+      allowNull: false
+    },
+    from_status: {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    },
+    to_status: {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    },
+    note: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    via: {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+
+  // Add indexes
+  await queryInterface.addIndex('emergencies', ['status']);
+  await queryInterface.addIndex('emergencies', ['jamaah_group']);
+  await queryInterface.addIndex('emergencies', ['user_id']);
+
+  await queryInterface.addIndex('emergency_actions', ['emergency_id']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('emergency_actions');
+  await queryInterface.dropTable('emergencies');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_emergencies_status"');
+}
@@ -0,0 +1,10 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('emergencies', 'escalated_at', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('emergencies', 'escalated_at');
+}
@@ -0,0 +1,92 @@
+export async function up(queryInterface, Sequelize) {
+  // Create Geofences table
+  await queryInterface.createTable('geofences', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false
+    },
+    jamaah_group: {
+      type: Sequelize.STRING(50),
+      allowNull: false
+    },
+    room_id: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    shape: {
+      type: Sequelize.ENUM('circle', 'polygon'),
+      allowNull: false
+    },
+    center_latitude: {
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    },
+    center_longitude: {
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    },
+    radius_meters: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    points: {
+      type: Sequelize.JSONB,
+      allowNull: true
+    },
+    alert_on: {
+      type: Sequelize.ENUM('exit', 'enter', 'both'),
+      allowNull: false,
+      defaultValue: 'exit'
+    },
+    starts_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    ends_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    is_active: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true
+    },
+    created_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+
+  await queryInterface.addIndex('geofences', ['jamaah_group']);
+  await queryInterface.addIndex('geofences', ['room_id']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('geofences');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_geofences_shape"');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_geofences_alert_on"');
+}
@@ -0,0 +1,12 @@
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('rooms', 'mode', {
+    type: Sequelize.ENUM('open', 'broadcast'),
+    allowNull: false,
+    defaultValue: 'open'
+  });
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('rooms', 'mode');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_rooms_mode"');
+}
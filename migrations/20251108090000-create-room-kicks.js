@@ -0,0 +1,63 @@
+export async function up(queryInterface, Sequelize) {
+  // Create Room Kicks table
+  await queryInterface.createTable('room_kicks', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    room_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    user_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    kicked_by: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    },
+    reason: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    banned_until: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    daily_ejected: {
+      type: Sequelize.INTEGER,
+      defaultValue: 0
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+
+  await queryInterface.addIndex('room_kicks', ['room_id']);
+  await queryInterface.addIndex('room_kicks', ['user_id']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('room_kicks');
+}
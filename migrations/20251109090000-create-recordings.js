@@ -0,0 +1,92 @@
+export async function up(queryInterface, Sequelize) {
+  // Create Recordings table
+  await queryInterface.createTable('recordings', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    room_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    session_id: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'room_sessions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    daily_recording_id: {
+      type: Sequelize.STRING,
+      allowNull: true,
+      unique: true
+    },
+    status: {
+      type: Sequelize.ENUM('in-progress', 'finished', 'canceled', 'error'),
+      allowNull: false,
+      defaultValue: 'in-progress'
+    },
+    started_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    stopped_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    started_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    stopped_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    duration: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    max_participants: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+
+  await queryInterface.addIndex('recordings', ['room_id', 'started_at']);
+  await queryInterface.addIndex('recordings', ['session_id']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('recordings');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_recordings_status";');
+}
@@ -0,0 +1,68 @@
+export async function up(queryInterface, Sequelize) {
+  // Create Chat Messages table
+  await queryInterface.createTable('chat_messages', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    room_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    session_id: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'room_sessions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    user_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    body: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    deleted_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    deleted_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    }
+  });
+
+  await queryInterface.addIndex('chat_messages', ['room_id', 'created_at']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('chat_messages');
+}
@@ -0,0 +1,81 @@
+export async function up(queryInterface, Sequelize) {
+  // Create Announcements table
+  await queryInterface.createTable('announcements', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    jamaah_group: {
+      type: Sequelize.STRING(50),
+      allowNull: false
+    },
+    room_id: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    message: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    pinned: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    },
+    status: {
+      type: Sequelize.ENUM('scheduled', 'sent', 'canceled'),
+      allowNull: false,
+      defaultValue: 'scheduled'
+    },
+    scheduled_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    sent_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    },
+    canceled_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+
+  await queryInterface.addIndex('announcements', ['status', 'scheduled_at']);
+  await queryInterface.addIndex('announcements', ['jamaah_group', 'room_id']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('announcements');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_announcements_status";');
+}
@@ -0,0 +1,100 @@
+export async function up(queryInterface, Sequelize) {
+  // Create Scheduled Sessions table (group itineraries)
+  await queryInterface.createTable('scheduled_sessions', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    },
+    jamaah_group: {
+      type: Sequelize.STRING(50),
+      allowNull: false
+    },
+    room_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    title: {
+      type: Sequelize.STRING(150),
+      allowNull: false
+    },
+    type: {
+      type: Sequelize.ENUM('manasik', 'ziarah', 'departure', 'briefing', 'other'),
+      allowNull: false,
+      defaultValue: 'briefing'
+    },
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    starts_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    ends_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    open_before_minutes: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 15
+    },
+    close_after_minutes: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 15
+    },
+    opens_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    closes_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    status: {
+      type: Sequelize.ENUM('scheduled', 'open', 'closed', 'canceled'),
+      allowNull: false,
+      defaultValue: 'scheduled'
+    },
+    reminded_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  });
+
+  await queryInterface.addIndex('scheduled_sessions', ['jamaah_group', 'starts_at']);
+  await queryInterface.addIndex('scheduled_sessions', ['room_id', 'opens_at', 'closes_at']);
+  await queryInterface.addIndex('scheduled_sessions', ['status']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('scheduled_sessions');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_scheduled_sessions_type";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_scheduled_sessions_status";');
+}
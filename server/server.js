@@ -1,10 +1,19 @@
 import http from 'http';
 import app from './src/app.js';
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import { initializeWebSocket } from './src/websocket/connection.js';
 import logger from './src/utils/logger.js';
 import { connectDatabase } from './src/config/database.js';
-import { connectRedis } from './src/config/redis.js';
+import { redisClient, connectRedis } from './src/config/redis.js';
+import { startRoomReconciler } from './src/jobs/roomReconciler.js';
+import { startRoomLifecycle } from './src/jobs/roomLifecycle.js';
+import { startEmergencyEscalation } from './src/jobs/emergencyEscalation.js';
+import { startAnnouncementDelivery } from './src/jobs/announcementDelivery.js';
+import { startSessionScheduler } from './src/jobs/sessionScheduler.js';
+import { stopJobs } from './src/jobs/scheduler.js';
+import { checkMailConfig } from './src/services/emailService.js';
+import { checkNotifierConfig } from './src/services/notifierService.js';
 
 const PORT = process.env.PORT || 3000;
 const server = http.createServer(app);
@@ -26,6 +35,9 @@ initializeWebSocket(io);
 // Graceful shutdown
 const shutdown = async () => {
   logger.info('Shutting down gracefully...');
+
+  // Stop background jobs
+  stopJobs();
   
   server.close(() => {
     logger.info('HTTP server closed');
@@ -56,6 +68,24 @@ const startServer = async () => {
     await connectRedis();
     logger.info('Redis connected');
 
+    // Share Socket.io rooms/broadcasts across server instances
+    const pubClient = redisClient.duplicate();
+    const subClient = redisClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+    logger.info('Socket.io Redis adapter enabled');
+
+    // Delivery that silently goes nowhere in production
+    checkMailConfig();
+    checkNotifierConfig();
+
+    // Start background jobs
+    startRoomReconciler();
+    startRoomLifecycle();
+    startEmergencyEscalation();
+    startAnnouncementDelivery();
+    startSessionScheduler();
+
     server.listen(PORT, () => {
       logger.info(`🚀 Server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV}`);
@@ -13,6 +13,16 @@ import { rateLimiter } from './middleware/rateLimiter.js';
 import authRoutes from './routes/auth.js';
 import tokenRoutes from './routes/token.js';
 import roomRoutes from './routes/room.js';
+import sessionRoutes from './routes/session.js';
+import reportRoutes from './routes/report.js';
+import emergencyRoutes from './routes/emergency.js';
+import locationRoutes from './routes/location.js';
+import geofenceRoutes from './routes/geofence.js';
+import recordingRoutes from './routes/recording.js';
+import announcementRoutes from './routes/announcement.js';
+import scheduleRoutes from './routes/schedule.js';
+import userRoutes from './routes/user.js';
+import webhookRoutes from './routes/webhook.js';
 
 const app = express();
 
@@ -48,6 +58,10 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
+// Webhooks verify signatures over the raw body, so they go before the
+// JSON parser (and are not rate limited)
+app.use('/api/v1/webhooks', webhookRoutes);
+
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -89,6 +103,15 @@ app.use((req, res, next) => {
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/token', tokenRoutes);
 app.use('/api/v1/room', roomRoutes);
+app.use('/api/v1/session', sessionRoutes);
+app.use('/api/v1/report', reportRoutes);
+app.use('/api/v1/emergency', emergencyRoutes);
+app.use('/api/v1/location', locationRoutes);
+app.use('/api/v1/geofence', geofenceRoutes);
+app.use('/api/v1/recording', recordingRoutes);
+app.use('/api/v1/announcement', announcementRoutes);
+app.use('/api/v1/schedule', scheduleRoutes);
+app.use('/api/v1/user', userRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
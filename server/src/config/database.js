@@ -0,0 +1,31 @@
+// src/config/database.js
+import { Sequelize } from 'sequelize';
+import logger from '../utils/logger.js';
+
+export const sequelize = new Sequelize(
+  process.env.DB_NAME,
+  process.env.DB_USER,
+  process.env.DB_PASSWORD,
+  {
+    host: process.env.DB_HOST,
+    dialect: 'postgres',
+    logging: (msg) => logger.debug(msg),
+    pool: {
+      max: 10,
+      min: 0,
+      acquire: 30000,
+      idle: 10000
+    }
+  }
+);
+
+export const connectDatabase = async () => {
+  try {
+    await sequelize.authenticate();
+    await sequelize.sync({ alter: process.env.NODE_ENV === 'development' });
+    logger.info('Database connected successfully');
+  } catch (error) {
+    logger.error('Unable to connect to database:', error);
+    throw error;
+  }
+};
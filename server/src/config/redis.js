@@ -20,62 +20,3 @@ redisClient.on('connect', () => {
 export const connectRedis = async () => {
   await redisClient.connect();
 };
-
-// src/config/database.js
-import { Sequelize } from 'sequelize';
-import logger from '../utils/logger.js';
-
-export const sequelize = new Sequelize(
-  process.env.DB_NAME,
-  process.env.DB_USER,
-  process.env.DB_PASSWORD,
-  {
-    host: process.env.DB_HOST,
-    dialect: 'postgres',
-    logging: (msg) => logger.debug(msg),
-    pool: {
-      max: 10,
-      min: 0,
-      acquire: 30000,
-      idle: 10000
-    }
-  }
-);
-
-export const connectDatabase = async () => {
-  try {
-    await sequelize.authenticate();
-    await sequelize.sync({ alter: process.env.NODE_ENV === 'development' });
-    logger.info('Database connected successfully');
-  } catch (error) {
-    logger.error('Unable to connect to database:', error);
-    throw error;
-  }
-};
-
-// src/utils/logger.js
-import winston from 'winston';
-
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' })
-  ]
-});
-
-if (process.env.NODE_ENV !== 'production') {
-  logger.add(new winston.transports.Console({
-    format: winston.format.combine(
-      winston.format.colorize(),
-      winston.format.simple()
-    )
-  }));
-}
-
-export default logger;
\ No newline at end of file
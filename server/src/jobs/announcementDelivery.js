@@ -0,0 +1,31 @@
+import * as announcementService from '../services/announcementService.js';
+import { notifyAnnouncement } from '../websocket/connection.js';
+import { scheduleJob } from './scheduler.js';
+import logger from '../utils/logger.js';
+
+const DELIVERY_INTERVAL = parseInt(process.env.ANNOUNCEMENT_INTERVAL_MS) || 15 * 1000;
+
+// ============================================
+// DELIVERY
+// ============================================
+
+// Sends every scheduled announcement whose time has come
+export async function deliverAnnouncements() {
+  const announcements = await announcementService.claimDue();
+
+  for (const announcement of announcements) {
+    notifyAnnouncement(announcement);
+    logger.info(`Announcement ${announcement.id} delivered to ` +
+      (announcement.room?.name || announcement.jamaahGroup));
+  }
+
+  return announcements.length;
+}
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+export function startAnnouncementDelivery() {
+  scheduleJob('announcement-delivery', DELIVERY_INTERVAL, () => deliverAnnouncements());
+}
@@ -0,0 +1,34 @@
+import * as emergencyService from '../services/emergencyService.js';
+import { scheduleJob } from './scheduler.js';
+import logger from '../utils/logger.js';
+
+const ESCALATION_WINDOW = parseInt(process.env.EMERGENCY_ESCALATION_WINDOW_MS) || 3 * 60 * 1000;
+const ESCALATION_INTERVAL = parseInt(process.env.EMERGENCY_ESCALATION_INTERVAL_MS) || 30 * 1000;
+
+// ============================================
+// ESCALATION
+// ============================================
+
+// Alerts still 'open' after the window go out to the group's admins over
+// SMS/WhatsApp (see notifierService)
+export async function escalateEmergencies() {
+  const emergencies = await emergencyService.findUnacknowledged(ESCALATION_WINDOW);
+
+  for (const emergency of emergencies) {
+    try {
+      await emergencyService.escalateEmergency(emergency);
+    } catch (error) {
+      logger.error(`Failed to escalate emergency ${emergency.id}:`, error);
+    }
+  }
+
+  return emergencies.length;
+}
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+export function startEmergencyEscalation() {
+  scheduleJob('emergency-escalation', ESCALATION_INTERVAL, () => escalateEmergencies());
+}
@@ -0,0 +1,97 @@
+import { Op } from 'sequelize';
+import { Room, RoomRenewalPolicy } from '../models/index.js';
+import { DEFAULT_RENEWAL_POLICY } from '../models/RoomRenewalPolicy.js';
+import * as roomService from '../services/roomService.js';
+import { scheduleJob } from './scheduler.js';
+import logger from '../utils/logger.js';
+
+const LIFECYCLE_INTERVAL = parseInt(process.env.ROOM_LIFECYCLE_INTERVAL_MS) || 60 * 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+// Rooms inside their group's renewal window are extended if they were used
+// recently (lastActiveAt), otherwise archived and removed from Daily.co.
+// Rooms already past expiresAt are archived outright.
+export async function processRoomLifecycle() {
+  const now = Date.now();
+  const result = { extended: [], archived: [], errors: [] };
+
+  const archive = async (room) => {
+    try {
+      await roomService.archiveRoom(room);
+      result.archived.push(room.name);
+    } catch (error) {
+      logger.error(`Failed to archive room ${room.name}:`, error);
+      result.errors.push({ room: room.name, error: error.message });
+    }
+  };
+
+  // Past expiry - Daily.co has already dropped (or is about to drop) these
+  const expired = await Room.findExpiredRooms();
+  for (const room of expired.filter(r => r.status !== 'archived')) {
+    await archive(room);
+  }
+
+  // Nearing expiry - apply each group's policy
+  const policies = new Map(
+    (await RoomRenewalPolicy.findAll()).map(p => [p.jamaahGroup, p.get({ plain: true })])
+  );
+  const widestWindow = Math.max(
+    DEFAULT_RENEWAL_POLICY.renewalWindowHours,
+    ...[...policies.values()].map(p => p.renewalWindowHours)
+  );
+
+  const expiring = await Room.findAll({
+    where: {
+      status: { [Op.ne]: 'archived' },
+      expiresAt: {
+        [Op.gte]: new Date(now),
+        [Op.lt]: new Date(now + widestWindow * HOUR)
+      }
+    }
+  });
+
+  for (const room of expiring) {
+    const policy = policies.get(room.jamaahGroup) || DEFAULT_RENEWAL_POLICY;
+
+    if (new Date(room.expiresAt).getTime() - now > policy.renewalWindowHours * HOUR) {
+      continue;
+    }
+
+    const inUse = room.lastActiveAt &&
+      now - new Date(room.lastActiveAt).getTime() < policy.idleDays * DAY;
+
+    if (policy.autoRenew && inUse) {
+      try {
+        await roomService.extendRoom(room, new Date(now + policy.lifetimeDays * DAY));
+        result.extended.push(room.name);
+      } catch (error) {
+        logger.error(`Failed to extend room ${room.name}:`, error);
+        result.errors.push({ room: room.name, error: error.message });
+      }
+    } else {
+      await archive(room);
+    }
+  }
+
+  logger.info('Room lifecycle run complete', {
+    extended: result.extended.length,
+    archived: result.archived.length,
+    errors: result.errors.length
+  });
+
+  return result;
+}
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+export function startRoomLifecycle() {
+  scheduleJob('room-lifecycle', LIFECYCLE_INTERVAL, () => processRoomLifecycle());
+}
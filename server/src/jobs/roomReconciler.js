@@ -0,0 +1,81 @@
+import { Room } from '../models/index.js';
+import * as dailyService from '../services/dailyService.js';
+import * as roomService from '../services/roomService.js';
+import { scheduleJob } from './scheduler.js';
+import logger from '../utils/logger.js';
+
+const RECONCILE_INTERVAL = parseInt(process.env.ROOM_RECONCILE_INTERVAL_MS) || 15 * 60 * 1000;
+
+// ============================================
+// RECONCILIATION
+// ============================================
+
+// Diff Daily.co rooms against the Room table and repair drift:
+// - live row, no Daily room, expired     -> archive the row
+// - live row, no Daily room, not expired -> recreate from getDailyConfig()
+// - archived/deleted row, Daily room     -> delete the Daily room
+// - Daily room with no row at all        -> report only
+export async function reconcileRooms({ dryRun = false } = {}) {
+  const [dailyRooms, rows] = await Promise.all([
+    dailyService.listRooms(),
+    Room.findAll({ paranoid: false })
+  ]);
+
+  const dailyNames = new Set(dailyRooms.map(r => r.name));
+  const rowNames = new Set(rows.map(r => r.name));
+
+  const report = {
+    dryRun,
+    checkedAt: new Date(),
+    dailyRoomCount: dailyRooms.length,
+    databaseRoomCount: rows.length,
+    archived: [],
+    recreated: [],
+    removedFromDaily: [],
+    untracked: dailyRooms
+      .filter(r => !rowNames.has(r.name))
+      .map(r => ({ name: r.name, url: r.url, createdAt: r.created_at })),
+    errors: []
+  };
+
+  for (const room of rows) {
+    const isLive = !room.deletedAt && room.status !== 'archived';
+    const inDaily = dailyNames.has(room.name);
+
+    try {
+      if (isLive && !inDaily) {
+        if (room.expiresAt && new Date(room.expiresAt) <= new Date()) {
+          report.archived.push(room.name);
+          if (!dryRun) await room.update({ status: 'archived' });
+        } else {
+          report.recreated.push(room.name);
+          if (!dryRun) await roomService.restoreDailyRoom(room);
+        }
+      } else if (!isLive && inDaily) {
+        report.removedFromDaily.push(room.name);
+        if (!dryRun) await dailyService.deleteRoom(room.name);
+      }
+    } catch (error) {
+      logger.error(`Failed to reconcile room ${room.name}:`, error);
+      report.errors.push({ room: room.name, error: error.message });
+    }
+  }
+
+  logger.info(`Room reconciliation ${dryRun ? '(dry run) ' : ''}complete`, {
+    archived: report.archived.length,
+    recreated: report.recreated.length,
+    removedFromDaily: report.removedFromDaily.length,
+    untracked: report.untracked.length,
+    errors: report.errors.length
+  });
+
+  return report;
+}
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+export function startRoomReconciler() {
+  scheduleJob('room-reconciler', RECONCILE_INTERVAL, () => reconcileRooms());
+}
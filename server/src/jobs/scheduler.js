@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import { redisClient } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+// Identifies this process when holding job locks
+const INSTANCE_ID = crypto.randomUUID();
+
+const timers = new Map(); // job name -> interval handle
+
+// Compare-and-delete in one step, so no other instance's lock can be removed
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+// ============================================
+// DISTRIBUTED LOCK
+// ============================================
+
+// Run fn only if no other server instance is running the same job
+export async function runExclusive(name, ttlMs, fn) {
+  const lockKey = `lock:job:${name}`;
+  const acquired = await redisClient.set(lockKey, INSTANCE_ID, { NX: true, PX: ttlMs });
+
+  if (!acquired) {
+    logger.debug(`Job ${name} skipped, lock held by another instance`);
+    return null;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Only our own lock: it may have expired and been taken by another instance
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [INSTANCE_ID] });
+  }
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+export function scheduleJob(name, intervalMs, fn) {
+  if (timers.has(name)) return;
+
+  const run = async () => {
+    try {
+      await runExclusive(name, intervalMs, fn);
+    } catch (error) {
+      logger.error(`Job ${name} failed:`, error);
+    }
+  };
+
+  timers.set(name, setInterval(run, intervalMs));
+  logger.info(`Job scheduled: ${name} (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+export function stopJobs() {
+  for (const [name, timer] of timers) {
+    clearInterval(timer);
+    logger.info(`Job stopped: ${name}`);
+  }
+  timers.clear();
+}
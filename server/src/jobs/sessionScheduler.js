@@ -0,0 +1,52 @@
+import * as scheduleService from '../services/scheduleService.js';
+import { notifySessionStartingSoon } from '../websocket/connection.js';
+import { scheduleJob } from './scheduler.js';
+import logger from '../utils/logger.js';
+
+const SCHEDULER_INTERVAL = parseInt(process.env.SESSION_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+// ============================================
+// SCHEDULED SESSIONS
+// ============================================
+
+// Reminds jamaah of sessions about to start, then opens and closes rooms
+// around each session window
+export async function processScheduledSessions() {
+  const now = new Date();
+  const result = { reminded: 0, synced: 0, errors: 0 };
+
+  for (const session of await scheduleService.findDueReminders(now)) {
+    try {
+      await session.update({ remindedAt: now });
+      notifySessionStartingSoon(session);
+      result.reminded += 1;
+    } catch (error) {
+      logger.error(`Failed to remind scheduled session ${session.id}:`, error);
+      result.errors += 1;
+    }
+  }
+
+  for (const session of await scheduleService.findDueForSync(now)) {
+    try {
+      await scheduleService.syncSession(session, now);
+      result.synced += 1;
+    } catch (error) {
+      logger.error(`Failed to update scheduled session ${session.id}:`, error);
+      result.errors += 1;
+    }
+  }
+
+  if (result.reminded || result.synced || result.errors) {
+    logger.info('Scheduled sessions processed', result);
+  }
+
+  return result;
+}
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+export function startSessionScheduler() {
+  scheduleJob('session-scheduler', SCHEDULER_INTERVAL, () => processScheduledSessions());
+}
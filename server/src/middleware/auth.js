@@ -1,7 +1,8 @@
 import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
+import { isTokenRevoked } from '../services/authService.js';
 
-export function authenticate(req, res, next) {
+export async function authenticate(req, res, next) {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
@@ -15,13 +16,25 @@ export function authenticate(req, res, next) {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens issued before group scoping carry no jamaah group
+    if (!decoded.jamaah) {
+      return res.status(401).json({ error: 'Token outdated, please login again' });
+    }
+
+    // Reject tokens revoked by logout, password reset or suspension
+    if (await isTokenRevoked(decoded)) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+
     // Attach user to request
     req.user = {
       id: decoded.userId,
       name: decoded.name,
       email: decoded.email,
-      role: decoded.role
+      role: decoded.role,
+      jamaah: decoded.jamaah
     };
+    req.auth = decoded;
 
     next();
 
@@ -36,13 +49,35 @@ export function authenticate(req, res, next) {
   }
 }
 
+export function isAdminRole(role) {
+  return role === 'admin' || role === 'superadmin';
+}
+
 export function requireAdmin(req, res, next) {
-  if (req.user.role !== 'admin') {
+  if (!isAdminRole(req.user.role)) {
     return res.status(403).json({ error: 'Admin access required' });
   }
   next();
 }
 
+export function requireSuperAdmin(req, res, next) {
+  if (req.user.role !== 'superadmin') {
+    return res.status(403).json({ error: 'Super-admin access required' });
+  }
+  next();
+}
+
+// Where-clause limiting a query to the caller's jamaah group.
+// Super-admins are unscoped.
+export function groupScope(user, field = 'jamaahGroup') {
+  return user.role === 'superadmin' ? {} : { [field]: user.jamaah };
+}
+
+// Whether the caller may touch a resource owned by the given jamaah group
+export function canAccessGroup(user, jamaahGroup) {
+  return user.role === 'superadmin' || jamaahGroup === user.jamaah;
+}
+
 export function verifyToken(token) {
   return jwt.verify(token, process.env.JWT_SECRET);
 }
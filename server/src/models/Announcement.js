@@ -0,0 +1,123 @@
+// ============================================
+// ANNOUNCEMENT MODEL
+// src/models/Announcement.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Message from a mutowif to one room or a whole jamaah group, delivered
+// now or at scheduledAt by jobs/announcementDelivery.js
+const Announcement = sequelize.define('Announcement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  jamaahGroup: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'jamaah_group'
+  },
+
+  roomId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'room_id',
+    references: {
+      model: 'rooms',
+      key: 'id'
+    },
+    comment: 'Null = every member of the jamaah group'
+  },
+
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [1, 1000]
+    }
+  },
+
+  pinned: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Shown in room state once sent, until unpinned'
+  },
+
+  status: {
+    type: DataTypes.ENUM('scheduled', 'sent', 'canceled'),
+    allowNull: false,
+    defaultValue: 'scheduled'
+  },
+
+  scheduledAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'scheduled_at'
+  },
+
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'sent_at'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  canceledBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'canceled_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+
+}, {
+  tableName: 'announcements',
+  timestamps: true,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['status', 'scheduled_at']
+    },
+    {
+      fields: ['jamaah_group', 'room_id']
+    }
+  ]
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Latest pinned announcement for a room: its own or its group's
+Announcement.findPinned = async function(room, options = {}) {
+  const { Op } = sequelize.Sequelize;
+
+  return await this.findOne({
+    where: {
+      status: 'sent',
+      pinned: true,
+      jamaahGroup: room.jamaahGroup,
+      roomId: { [Op.or]: [room.id, null] }
+    },
+    order: [['sentAt', 'DESC']],
+    ...options
+  });
+};
+
+export default Announcement;
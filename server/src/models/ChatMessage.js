@@ -0,0 +1,89 @@
+// ============================================
+// CHAT MESSAGE MODEL
+// src/models/ChatMessage.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+export const MAX_CHAT_LENGTH = 1000;
+
+// Text chat in a room. Messages removed by an admin are soft deleted
+// (deletedAt + deletedBy) so moderation can still be reviewed.
+const ChatMessage = sequelize.define('ChatMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  roomId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'room_id',
+    references: {
+      model: 'rooms',
+      key: 'id'
+    }
+  },
+
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'session_id',
+    references: {
+      model: 'room_sessions',
+      key: 'id'
+    },
+    comment: 'Session the message was sent in'
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [1, MAX_CHAT_LENGTH]
+    }
+  },
+
+  deletedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'deleted_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  deletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'deleted_at'
+  }
+
+}, {
+  tableName: 'chat_messages',
+  timestamps: true,
+  updatedAt: false,
+  paranoid: true,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['room_id', 'created_at']
+    }
+  ]
+});
+
+export default ChatMessage;
@@ -0,0 +1,185 @@
+// ============================================
+// EMERGENCY MODEL
+// src/models/Emergency.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// open -> acknowledged -> en-route -> resolved (steps may be skipped, never reversed)
+export const EMERGENCY_TRANSITIONS = {
+  open: ['acknowledged', 'en-route', 'resolved'],
+  acknowledged: ['en-route', 'resolved'],
+  'en-route': ['resolved'],
+  resolved: []
+};
+
+const Emergency = sequelize.define('Emergency', {
+  // ============================================
+  // PRIMARY KEY
+  // ============================================
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'Unique identifier untuk emergency'
+  },
+
+  // ============================================
+  // SENDER
+  // ============================================
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Jamaah who raised the alert'
+  },
+
+  jamaahGroup: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'jamaah_group',
+    comment: 'Sender jamaah group at the time of the alert'
+  },
+
+  roomName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'room_name',
+    comment: 'Room the sender was in, if any'
+  },
+
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Message from the sender'
+  },
+
+  // ============================================
+  // LOCATION
+  // ============================================
+  latitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+
+  longitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+
+  accuracy: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    comment: 'Location accuracy in meters'
+  },
+
+  locationUpdatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'location_updated_at',
+    comment: 'When the last known location was recorded'
+  },
+
+  // ============================================
+  // STATUS
+  // ============================================
+  status: {
+    type: DataTypes.ENUM('open', 'acknowledged', 'en-route', 'resolved'),
+    defaultValue: 'open',
+    allowNull: false
+  },
+
+  assignedTo: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'assigned_to',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Admin handling the incident'
+  },
+
+  acknowledgedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'acknowledged_at'
+  },
+
+  escalatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'escalated_at',
+    comment: 'When admins were paged because nobody acknowledged in time'
+  },
+
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at'
+  },
+
+  resolutionNote: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'resolution_note'
+  }
+
+}, {
+  tableName: 'emergencies',
+  timestamps: true,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['jamaah_group']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+Emergency.prototype.canTransitionTo = function(status) {
+  return EMERGENCY_TRANSITIONS[this.status]?.includes(status) || false;
+};
+
+Emergency.prototype.getLocation = function() {
+  if (this.latitude === null || this.longitude === null) return null;
+  return {
+    latitude: this.latitude,
+    longitude: this.longitude,
+    accuracy: this.accuracy,
+    updatedAt: this.locationUpdatedAt
+  };
+};
+
+// ============================================
+// CLASS/STATIC METHODS
+// ============================================
+
+// Incidents not yet resolved
+Emergency.findUnresolved = async function(where = {}, options = {}) {
+  return await this.findAll({
+    ...options,
+    where: {
+      ...where,
+      status: { [sequelize.Sequelize.Op.ne]: 'resolved' }
+    },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+export default Emergency;
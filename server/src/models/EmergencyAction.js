@@ -0,0 +1,80 @@
+// ============================================
+// EMERGENCY ACTION MODEL
+// src/models/EmergencyAction.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Audit trail: one row for every change to an Emergency
+const EmergencyAction = sequelize.define('EmergencyAction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  emergencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'emergency_id',
+    references: {
+      model: 'emergencies',
+      key: 'id'
+    }
+  },
+
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'actor_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who performed the action (null for system)'
+  },
+
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'created, acknowledged, en-route, resolved, ...'
+  },
+
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'from_status'
+  },
+
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'to_status'
+  },
+
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  via: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'socket, rest or system'
+  }
+
+}, {
+  tableName: 'emergency_actions',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['emergency_id']
+    }
+  ]
+});
+
+export default EmergencyAction;
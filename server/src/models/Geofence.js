@@ -0,0 +1,212 @@
+// ============================================
+// GEOFENCE MODEL
+// src/models/Geofence.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { distanceMeters } from '../utils/geo.js';
+
+const Geofence = sequelize.define('Geofence', {
+  // ============================================
+  // PRIMARY KEY
+  // ============================================
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: { msg: 'Geofence name cannot be empty' }
+    },
+    comment: 'e.g. Hotel, Meeting point, Gate 79'
+  },
+
+  // ============================================
+  // SCOPE
+  // ============================================
+  jamaahGroup: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'jamaah_group'
+  },
+
+  roomId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'room_id',
+    references: {
+      model: 'rooms',
+      key: 'id'
+    },
+    comment: 'Only applies to participants of this room; null for the whole group'
+  },
+
+  // ============================================
+  // SHAPE
+  // ============================================
+  shape: {
+    type: DataTypes.ENUM('circle', 'polygon'),
+    allowNull: false
+  },
+
+  centerLatitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    field: 'center_latitude'
+  },
+
+  centerLongitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    field: 'center_longitude'
+  },
+
+  radiusMeters: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'radius_meters'
+  },
+
+  points: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Polygon vertices: [{ latitude, longitude }, ...]'
+  },
+
+  // ============================================
+  // ALERTING
+  // ============================================
+  alertOn: {
+    type: DataTypes.ENUM('exit', 'enter', 'both'),
+    allowNull: false,
+    defaultValue: 'exit',
+    field: 'alert_on'
+  },
+
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'starts_at',
+    comment: 'Start of the scheduled window; null = always'
+  },
+
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'ends_at',
+    comment: 'End of the scheduled window; null = open-ended'
+  },
+
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+
+}, {
+  tableName: 'geofences',
+  timestamps: true,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['jamaah_group']
+    },
+    {
+      fields: ['room_id']
+    }
+  ],
+
+  validate: {
+    shapeDefinition() {
+      if (this.shape === 'circle') {
+        if (this.centerLatitude === null || this.centerLatitude === undefined ||
+            this.centerLongitude === null || this.centerLongitude === undefined ||
+            !(this.radiusMeters > 0)) {
+          throw new Error('Circle needs center latitude/longitude and a positive radius');
+        }
+      }
+
+      if (this.shape === 'polygon') {
+        if (!Array.isArray(this.points) || this.points.length < 3) {
+          throw new Error('Polygon needs at least 3 points');
+        }
+      }
+    },
+
+    windowOrder() {
+      if (this.startsAt && this.endsAt && new Date(this.endsAt) <= new Date(this.startsAt)) {
+        throw new Error('Window end must be after its start');
+      }
+    }
+  }
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// point: { latitude, longitude }
+Geofence.prototype.contains = function(point) {
+  if (this.shape === 'circle') {
+    const center = { latitude: this.centerLatitude, longitude: this.centerLongitude };
+    return distanceMeters(center, point) <= this.radiusMeters;
+  }
+
+  // Ray casting - fine for the few hundred meters a geofence covers
+  let inside = false;
+  const points = this.points;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) /
+        (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+Geofence.prototype.alertsOn = function(transition) {
+  return this.alertOn === 'both' || this.alertOn === transition;
+};
+
+// ============================================
+// CLASS/STATIC METHODS
+// ============================================
+
+// Fences that currently apply to a jamaah: group-wide ones plus those of
+// the room they are in
+Geofence.findApplicable = async function(jamaahGroup, roomId = null) {
+  const { Op } = sequelize.Sequelize;
+  const now = new Date();
+
+  return await this.findAll({
+    where: {
+      jamaahGroup,
+      isActive: true,
+      [Op.and]: [
+        { [Op.or]: [{ roomId: null }, ...(roomId ? [{ roomId }] : [])] },
+        { [Op.or]: [{ startsAt: null }, { startsAt: { [Op.lte]: now } }] },
+        { [Op.or]: [{ endsAt: null }, { endsAt: { [Op.gte]: now } }] }
+      ]
+    }
+  });
+};
+
+export default Geofence;
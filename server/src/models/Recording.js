@@ -0,0 +1,140 @@
+// ============================================
+// RECORDING MODEL
+// src/models/Recording.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// A Daily cloud recording of a room. Rows are created when an admin starts
+// recording from the app and kept in sync with Daily's recording list
+// (see recordingService.syncRecordings).
+const Recording = sequelize.define('Recording', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  roomId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'room_id',
+    references: {
+      model: 'rooms',
+      key: 'id'
+    }
+  },
+
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'session_id',
+    references: {
+      model: 'room_sessions',
+      key: 'id'
+    },
+    comment: 'Session that was open when recording started'
+  },
+
+  dailyRecordingId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    field: 'daily_recording_id',
+    comment: 'Null until Daily reports the recording'
+  },
+
+  status: {
+    type: DataTypes.ENUM('in-progress', 'finished', 'canceled', 'error'),
+    allowNull: false,
+    defaultValue: 'in-progress'
+  },
+
+  startedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'started_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Null when started outside the app'
+  },
+
+  stoppedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'stopped_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'started_at'
+  },
+
+  stoppedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'stopped_at'
+  },
+
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Seconds, as reported by Daily'
+  },
+
+  maxParticipants: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'max_participants'
+  }
+
+}, {
+  tableName: 'recordings',
+  timestamps: true,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['room_id', 'started_at']
+    },
+    {
+      fields: ['session_id']
+    }
+  ]
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+Recording.prototype.isRecording = function() {
+  return this.status === 'in-progress' && !this.stoppedAt;
+};
+
+// Daily only hands out download links once processing is done
+Recording.prototype.isDownloadable = function() {
+  return this.status === 'finished' && Boolean(this.dailyRecordingId);
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Recording started from the app that has not been stopped yet
+Recording.findActive = async function(roomId) {
+  return await this.findOne({
+    where: { roomId, status: 'in-progress', stoppedAt: null },
+    order: [['startedAt', 'DESC']]
+  });
+};
+
+export default Recording;
@@ -116,6 +116,13 @@ const Room = sequelize.define('Room', {
     comment: 'Enable screen sharing'
   },
 
+  mode: {
+    type: DataTypes.ENUM('open', 'broadcast'),
+    defaultValue: 'open',
+    allowNull: false,
+    comment: 'broadcast: only admins (and whoever they grant the mic) can speak'
+  },
+
   // ============================================
   // STATUS
   // ============================================
@@ -287,11 +294,18 @@ Room.prototype.getDailyConfig = function() {
       enable_chat: this.enableChat,
       enable_recording: this.enableRecording ? 'cloud' : 'off',
       enable_screenshare: this.enableScreenshare,
-      max_participants: this.maxParticipants
+      max_participants: this.maxParticipants,
+      ...(this.expiresAt && {
+        exp: Math.floor(new Date(this.expiresAt).getTime() / 1000)
+      })
     }
   };
 };
 
+Room.prototype.isBroadcast = function() {
+  return this.mode === 'broadcast';
+};
+
 // Get public info
 Room.prototype.toPublicJSON = function() {
   const values = { ...this.get() };
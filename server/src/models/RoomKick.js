@@ -0,0 +1,83 @@
+// ============================================
+// ROOM KICK MODEL
+// src/models/RoomKick.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Who removed whom from a room, why, and for how long they are banned
+const RoomKick = sequelize.define('RoomKick', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  roomId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'room_id',
+    references: {
+      model: 'rooms',
+      key: 'id'
+    }
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Jamaah who was kicked'
+  },
+
+  kickedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'kicked_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  bannedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'banned_until',
+    comment: 'Token and room:join are refused until then'
+  },
+
+  dailyEjected: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'daily_ejected',
+    comment: 'Daily participants ejected from the call'
+  }
+
+}, {
+  tableName: 'room_kicks',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['room_id']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+export default RoomKick;
@@ -0,0 +1,118 @@
+// ============================================
+// ROOM RENEWAL POLICY MODEL
+// src/models/RoomRenewalPolicy.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Used when a jamaah group has no policy of its own
+export const DEFAULT_RENEWAL_POLICY = {
+  lifetimeDays: parseInt(process.env.ROOM_LIFETIME_DAYS) || 30,
+  renewalWindowHours: parseInt(process.env.ROOM_RENEWAL_WINDOW_HOURS) || 48,
+  idleDays: parseInt(process.env.ROOM_IDLE_DAYS) || 7,
+  autoRenew: true
+};
+
+const RoomRenewalPolicy = sequelize.define('RoomRenewalPolicy', {
+  // ============================================
+  // PRIMARY KEY
+  // ============================================
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  // ============================================
+  // SCOPE
+  // ============================================
+  jamaahGroup: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: {
+      name: 'unique_renewal_policy_group',
+      msg: 'Policy for this jamaah group already exists'
+    },
+    field: 'jamaah_group',
+    comment: 'Jamaah group this policy applies to'
+  },
+
+  // ============================================
+  // POLICY
+  // ============================================
+  lifetimeDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: DEFAULT_RENEWAL_POLICY.lifetimeDays,
+    field: 'lifetime_days',
+    validate: {
+      min: { args: [1], msg: 'Lifetime must be at least 1 day' },
+      max: { args: [365], msg: 'Lifetime cannot exceed 365 days' }
+    },
+    comment: 'Initial room lifetime and length of each extension'
+  },
+
+  renewalWindowHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: DEFAULT_RENEWAL_POLICY.renewalWindowHours,
+    field: 'renewal_window_hours',
+    validate: {
+      min: { args: [1], msg: 'Renewal window must be at least 1 hour' }
+    },
+    comment: 'How long before expiry the room is renewed or archived'
+  },
+
+  idleDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: DEFAULT_RENEWAL_POLICY.idleDays,
+    field: 'idle_days',
+    validate: {
+      min: { args: [1], msg: 'Idle threshold must be at least 1 day' }
+    },
+    comment: 'Room counts as in use if active within this many days'
+  },
+
+  autoRenew: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: DEFAULT_RENEWAL_POLICY.autoRenew,
+    field: 'auto_renew',
+    comment: 'Extend rooms that are still in use instead of archiving'
+  },
+
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'updated_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Admin who last changed the policy'
+  }
+
+}, {
+  tableName: 'room_renewal_policies',
+  timestamps: true,
+  underscored: true
+});
+
+// ============================================
+// CLASS/STATIC METHODS
+// ============================================
+
+// Resolve the effective policy for a jamaah group
+RoomRenewalPolicy.forGroup = async function(jamaahGroup) {
+  const policy = jamaahGroup
+    ? await this.findOne({ where: { jamaahGroup } })
+    : null;
+
+  return policy
+    ? policy.get({ plain: true })
+    : { jamaahGroup, ...DEFAULT_RENEWAL_POLICY };
+};
+
+export default RoomRenewalPolicy;
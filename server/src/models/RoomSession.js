@@ -0,0 +1,91 @@
+// ============================================
+// ROOM SESSION MODEL
+// src/models/RoomSession.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const RoomSession = sequelize.define('RoomSession', {
+  // ============================================
+  // PRIMARY KEY
+  // ============================================
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'Unique identifier untuk session'
+  },
+
+  // ============================================
+  // ROOM
+  // ============================================
+  roomId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'room_id',
+    references: {
+      model: 'rooms',
+      key: 'id'
+    },
+    comment: 'Room the session was held in'
+  },
+
+  // ============================================
+  // TIMING
+  // ============================================
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'started_at',
+    comment: 'First participant joined'
+  },
+
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'ended_at',
+    comment: 'Last participant left (null while running)'
+  },
+
+  // ============================================
+  // STATISTICS
+  // ============================================
+  participantCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'participant_count',
+    comment: 'Distinct users who attended'
+  }
+
+}, {
+  tableName: 'room_sessions',
+  timestamps: true,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['room_id']
+    },
+    {
+      fields: ['started_at']
+    }
+  ]
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+RoomSession.prototype.isOpen = function() {
+  return !this.endedAt;
+};
+
+// Duration in minutes (up to now while still running)
+RoomSession.prototype.getDurationMinutes = function() {
+  const end = this.endedAt ? new Date(this.endedAt) : new Date();
+  return Math.round((end - new Date(this.startedAt)) / 60000);
+};
+
+export default RoomSession;
@@ -0,0 +1,229 @@
+// ============================================
+// SCHEDULED SESSION MODEL
+// src/models/ScheduledSession.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const MINUTE = 60 * 1000;
+
+// One entry of a group's itinerary (manasik, ziarah, departure briefing...)
+// held in a room. jobs/sessionScheduler.js opens the room openBeforeMinutes
+// ahead and closes it closeAfterMinutes after; outside that window jamaah
+// cannot get a token for the room.
+const ScheduledSession = sequelize.define('ScheduledSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  // ============================================
+  // SCOPE
+  // ============================================
+  jamaahGroup: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'jamaah_group'
+  },
+
+  roomId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'room_id',
+    references: {
+      model: 'rooms',
+      key: 'id'
+    }
+  },
+
+  // ============================================
+  // DETAILS
+  // ============================================
+  title: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    validate: {
+      notEmpty: { msg: 'Session title cannot be empty' }
+    },
+    comment: 'e.g. Manasik umrah, Ziarah Madinah'
+  },
+
+  type: {
+    type: DataTypes.ENUM('manasik', 'ziarah', 'departure', 'briefing', 'other'),
+    allowNull: false,
+    defaultValue: 'briefing'
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // ============================================
+  // TIMING
+  // ============================================
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'starts_at'
+  },
+
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'ends_at'
+  },
+
+  openBeforeMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 15,
+    field: 'open_before_minutes',
+    validate: { min: 0, max: 240 }
+  },
+
+  closeAfterMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 15,
+    field: 'close_after_minutes',
+    validate: { min: 0, max: 240 }
+  },
+
+  opensAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'opens_at',
+    comment: 'startsAt - openBeforeMinutes (set by hook)'
+  },
+
+  closesAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'closes_at',
+    comment: 'endsAt + closeAfterMinutes (set by hook)'
+  },
+
+  // ============================================
+  // LIFECYCLE
+  // ============================================
+  status: {
+    type: DataTypes.ENUM('scheduled', 'open', 'closed', 'canceled'),
+    allowNull: false,
+    defaultValue: 'scheduled'
+  },
+
+  remindedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reminded_at',
+    comment: 'When session:starting-soon went out'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'created_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+
+}, {
+  tableName: 'scheduled_sessions',
+  timestamps: true,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['jamaah_group', 'starts_at']
+    },
+    {
+      fields: ['room_id', 'opens_at', 'closes_at']
+    },
+    {
+      fields: ['status']
+    }
+  ],
+
+  validate: {
+    endsAfterStart() {
+      if (this.startsAt && this.endsAt && new Date(this.endsAt) <= new Date(this.startsAt)) {
+        throw new Error('endsAt must be after startsAt');
+      }
+    }
+  },
+
+  hooks: {
+    // Keep the room window in sync with the times it is derived from
+    beforeValidate: (session) => {
+      if (session.startsAt) {
+        session.opensAt = new Date(new Date(session.startsAt).getTime() - session.openBeforeMinutes * MINUTE);
+      }
+      if (session.endsAt) {
+        session.closesAt = new Date(new Date(session.endsAt).getTime() + session.closeAfterMinutes * MINUTE);
+      }
+    }
+  }
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+ScheduledSession.prototype.isInWindow = function(at = new Date()) {
+  return this.status !== 'canceled' &&
+    new Date(this.opensAt) <= at && at < new Date(this.closesAt);
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Session whose window contains `at` (latest closing first), if any
+ScheduledSession.findInWindow = async function(roomId, at = new Date()) {
+  const { Op } = sequelize.Sequelize;
+
+  return await this.findOne({
+    where: {
+      roomId,
+      status: { [Op.ne]: 'canceled' },
+      opensAt: { [Op.lte]: at },
+      closesAt: { [Op.gt]: at }
+    },
+    order: [['closesAt', 'DESC']]
+  });
+};
+
+// Next session of the room that has not closed yet
+ScheduledSession.findNext = async function(roomId, at = new Date()) {
+  const { Op } = sequelize.Sequelize;
+
+  return await this.findOne({
+    where: {
+      roomId,
+      status: { [Op.ne]: 'canceled' },
+      closesAt: { [Op.gt]: at }
+    },
+    order: [['opensAt', 'ASC']]
+  });
+};
+
+// Rooms with an itinerary still ahead (or running) are only open during
+// their sessions; once the last one has closed the room is free again
+ScheduledSession.isScheduledRoom = async function(roomId, at = new Date()) {
+  const { Op } = sequelize.Sequelize;
+
+  return await this.count({
+    where: {
+      roomId,
+      status: { [Op.ne]: 'canceled' },
+      closesAt: { [Op.gt]: at }
+    }
+  }) > 0;
+};
+
+export default ScheduledSession;
@@ -0,0 +1,107 @@
+// ============================================
+// SESSION ATTENDANCE MODEL
+// src/models/SessionAttendance.js
+// ============================================
+
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// One row per join. A jamaah who drops out and rejoins (or joins from two
+// devices) gets several rows; reports add them up per user.
+const SessionAttendance = sequelize.define('SessionAttendance', {
+  // ============================================
+  // PRIMARY KEY
+  // ============================================
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  // ============================================
+  // RELATIONS
+  // ============================================
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'session_id',
+    references: {
+      model: 'room_sessions',
+      key: 'id'
+    }
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  socketId: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'socket_id',
+    comment: 'Socket the join came from'
+  },
+
+  // ============================================
+  // TIMING
+  // ============================================
+  joinedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'joined_at'
+  },
+
+  leftAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'left_at',
+    comment: 'Null while still in the room'
+  },
+
+  durationSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_seconds',
+    comment: 'Set when the user leaves'
+  }
+
+}, {
+  tableName: 'session_attendances',
+  timestamps: true,
+  underscored: true,
+
+  indexes: [
+    {
+      fields: ['session_id']
+    },
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['session_id', 'socket_id']
+    }
+  ]
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Close this attendance row
+SessionAttendance.prototype.close = async function(leftAt = new Date(), options = {}) {
+  this.leftAt = leftAt;
+  this.durationSeconds = Math.max(
+    Math.round((new Date(leftAt) - new Date(this.joinedAt)) / 1000),
+    0
+  );
+  await this.save(options);
+};
+
+export default SessionAttendance;
@@ -102,10 +102,10 @@ const User = sequelize.define('User', {
   // ROLE & STATUS
   // ============================================
   role: {
-    type: DataTypes.ENUM('admin', 'jamaah'),
+    type: DataTypes.ENUM('admin', 'jamaah', 'superadmin'),
     defaultValue: 'jamaah',
     allowNull: false,
-    comment: 'User role: admin (mutowif) or jamaah'
+    comment: 'User role: admin (mutowif), jamaah, or superadmin (all groups)'
   },
 
   jamaah: {
@@ -252,9 +252,9 @@ const User = sequelize.define('User', {
       }
     },
 
-    // Before find - exclude deleted if not explicitly included
+    // Before find - exclude deleted unless paranoid: false
     beforeFind: (options) => {
-      if (!options.paranoid) {
+      if (options.paranoid !== false) {
         options.where = options.where || {};
         options.where.deletedAt = null;
       }
@@ -288,9 +288,14 @@ User.prototype.toPublicJSON = function() {
   return values;
 };
 
-// Check if user is admin
+// Check if user is admin (group admin or super-admin)
 User.prototype.isAdmin = function() {
-  return this.role === 'admin';
+  return this.role === 'admin' || this.role === 'superadmin';
+};
+
+// Check if user can work across all jamaah groups
+User.prototype.isSuperAdmin = function() {
+  return this.role === 'superadmin';
 };
 
 // Check if user is active
@@ -333,10 +338,30 @@ User.findByJamaah = async function(jamaahName) {
   });
 };
 
-// Get admins
-User.getAdmins = async function() {
+// Get admins, optionally only those of one jamaah group
+User.getAdmins = async function(jamaahGroup = null) {
   return await this.findAll({
-    where: { role: 'admin', status: 'active' }
+    where: {
+      role: 'admin',
+      status: 'active',
+      ...(jamaahGroup && { jamaah: jamaahGroup })
+    }
+  });
+};
+
+// Everyone who answers for a jamaah group: its admins plus every
+// super-admin (they see all groups, see groupScope)
+User.getAdminsForGroup = async function(jamaahGroup) {
+  const { Op } = sequelize.Sequelize;
+
+  return await this.findAll({
+    where: {
+      status: 'active',
+      [Op.or]: [
+        { role: 'admin', jamaah: jamaahGroup },
+        { role: 'superadmin' }
+      ]
+    }
   });
 };
 
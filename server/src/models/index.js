@@ -1,5 +1,16 @@
 import User from './User.js';
 import Room from './Room.js';
+import RoomRenewalPolicy from './RoomRenewalPolicy.js';
+import RoomSession from './RoomSession.js';
+import SessionAttendance from './SessionAttendance.js';
+import Emergency from './Emergency.js';
+import EmergencyAction from './EmergencyAction.js';
+import Geofence from './Geofence.js';
+import RoomKick from './RoomKick.js';
+import Recording from './Recording.js';
+import ChatMessage from './ChatMessage.js';
+import Announcement from './Announcement.js';
+import ScheduledSession from './ScheduledSession.js';
 
 // User has many Rooms (as owner)
 User.hasMany(Room, {
@@ -13,5 +24,180 @@ Room.belongsTo(User, {
   as: 'owner'
 });
 
+// Room has many Sessions
+Room.hasMany(RoomSession, {
+  foreignKey: 'roomId',
+  as: 'sessions'
+});
+
+RoomSession.belongsTo(Room, {
+  foreignKey: 'roomId',
+  as: 'room'
+});
+
+// Session has many Attendance rows
+RoomSession.hasMany(SessionAttendance, {
+  foreignKey: 'sessionId',
+  as: 'attendances'
+});
+
+SessionAttendance.belongsTo(RoomSession, {
+  foreignKey: 'sessionId',
+  as: 'session'
+});
+
+// Attendance belongs to User
+User.hasMany(SessionAttendance, {
+  foreignKey: 'userId',
+  as: 'attendances'
+});
+
+SessionAttendance.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Emergency sender and assigned admin
+Emergency.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'sender'
+});
+
+Emergency.belongsTo(User, {
+  foreignKey: 'assignedTo',
+  as: 'assignee'
+});
+
+// Emergency has many Actions (audit trail)
+Emergency.hasMany(EmergencyAction, {
+  foreignKey: 'emergencyId',
+  as: 'actions'
+});
+
+EmergencyAction.belongsTo(Emergency, {
+  foreignKey: 'emergencyId',
+  as: 'emergency'
+});
+
+EmergencyAction.belongsTo(User, {
+  foreignKey: 'actorId',
+  as: 'actor'
+});
+
+// Geofences can be limited to one room
+Room.hasMany(Geofence, {
+  foreignKey: 'roomId',
+  as: 'geofences'
+});
+
+Geofence.belongsTo(Room, {
+  foreignKey: 'roomId',
+  as: 'room'
+});
+
+// Kick history per room
+Room.hasMany(RoomKick, {
+  foreignKey: 'roomId',
+  as: 'kicks'
+});
+
+RoomKick.belongsTo(Room, {
+  foreignKey: 'roomId',
+  as: 'room'
+});
+
+RoomKick.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+RoomKick.belongsTo(User, {
+  foreignKey: 'kickedBy',
+  as: 'kicker'
+});
+
+// Recordings per room, linked to the session they were made in
+Room.hasMany(Recording, {
+  foreignKey: 'roomId',
+  as: 'recordings'
+});
+
+Recording.belongsTo(Room, {
+  foreignKey: 'roomId',
+  as: 'room'
+});
+
+RoomSession.hasMany(Recording, {
+  foreignKey: 'sessionId',
+  as: 'recordings'
+});
+
+Recording.belongsTo(RoomSession, {
+  foreignKey: 'sessionId',
+  as: 'session'
+});
+
+Recording.belongsTo(User, {
+  foreignKey: 'startedBy',
+  as: 'starter'
+});
+
+// Chat history per room
+Room.hasMany(ChatMessage, {
+  foreignKey: 'roomId',
+  as: 'chatMessages'
+});
+
+ChatMessage.belongsTo(Room, {
+  foreignKey: 'roomId',
+  as: 'room'
+});
+
+ChatMessage.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'sender'
+});
+
+// Announcements to a room (or, without room, the whole group)
+Room.hasMany(Announcement, {
+  foreignKey: 'roomId',
+  as: 'announcements'
+});
+
+Announcement.belongsTo(Room, {
+  foreignKey: 'roomId',
+  as: 'room'
+});
+
+Announcement.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'author'
+});
+
+// Itinerary: timed sessions held in a room
+Room.hasMany(ScheduledSession, {
+  foreignKey: 'roomId',
+  as: 'scheduledSessions'
+});
+
+ScheduledSession.belongsTo(Room, {
+  foreignKey: 'roomId',
+  as: 'room'
+});
+
 // Export all models
-export { User, Room };
\ No newline at end of file
+export {
+  User,
+  Room,
+  RoomRenewalPolicy,
+  RoomSession,
+  SessionAttendance,
+  Emergency,
+  EmergencyAction,
+  Geofence,
+  RoomKick,
+  Recording,
+  ChatMessage,
+  Announcement,
+  ScheduledSession
+};
\ No newline at end of file
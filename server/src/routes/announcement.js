@@ -0,0 +1,222 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, groupScope, canAccessGroup } from '../middleware/auth.js';
+import { Room } from '../models/index.js';
+import * as announcementService from '../services/announcementService.js';
+import { notifyAnnouncementUnpinned } from '../websocket/connection.js';
+import { deliverAnnouncements } from '../jobs/announcementDelivery.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const idValidator = param('id')
+  .isUUID()
+  .withMessage('Invalid announcement ID');
+
+// GET /api/v1/announcement - Announcements of the caller's group (Admin only)
+router.get('/',
+  authenticate,
+  requireAdmin,
+  [
+    query('status')
+      .optional()
+      .isIn(['scheduled', 'sent', 'canceled']),
+    query('roomName')
+      .optional()
+      .trim()
+      .notEmpty()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const where = groupScope(req.user);
+
+      if (req.query.status) {
+        where.status = req.query.status;
+      }
+
+      if (req.query.roomName) {
+        const room = await Room.findOne({
+          where: { name: req.query.roomName, ...groupScope(req.user) }
+        });
+
+        if (!room) {
+          return res.status(404).json({ error: 'Room not found' });
+        }
+
+        where.roomId = room.id;
+      }
+
+      const announcements = await announcementService.listAnnouncements(where);
+
+      res.json({ total: announcements.length, announcements });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/announcement - Announce to a room or the whole group, now or later (Admin only)
+router.post('/',
+  authenticate,
+  requireAdmin,
+  [
+    body('message')
+      .trim()
+      .notEmpty()
+      .isLength({ max: 1000 }),
+    body('roomName')
+      .optional()
+      .trim()
+      .notEmpty(),
+    body('jamaahGroup')
+      .optional()
+      .trim()
+      .notEmpty(),
+    body('scheduledAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .toDate()
+      .custom((value) => value > new Date())
+      .withMessage('scheduledAt must be in the future'),
+    body('pinned')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { message, roomName, scheduledAt, pinned } = req.body;
+      const jamaahGroup = req.body.jamaahGroup || req.user.jamaah;
+
+      if (!canAccessGroup(req.user, jamaahGroup)) {
+        return res.status(403).json({ error: 'Cannot manage another jamaah group' });
+      }
+
+      let room = null;
+      if (roomName) {
+        room = await Room.findOne({ where: { name: roomName, jamaahGroup } });
+
+        if (!room) {
+          return res.status(404).json({ error: 'Room not found' });
+        }
+      }
+
+      let announcement = await announcementService.createAnnouncement({
+        jamaahGroup,
+        room,
+        message,
+        pinned,
+        scheduledAt,
+        author: req.user
+      });
+
+      // Not scheduled: send it now rather than on the next job run
+      if (!scheduledAt) {
+        await deliverAnnouncements();
+        announcement = await announcement.reload();
+      }
+
+      res.status(201).json({
+        message: scheduledAt ? 'Announcement scheduled' : 'Announcement sent',
+        announcement
+      });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.errors.map(e => ({ path: e.path, msg: e.message }))
+        });
+      }
+      logger.error('Failed to create announcement:', error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/v1/announcement/:id - Cancel a scheduled announcement (Admin only)
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const announcement = await announcementService.getAnnouncement(req.params.id, groupScope(req.user));
+
+      if (!announcement) {
+        return res.status(404).json({ error: 'Announcement not found' });
+      }
+
+      await announcementService.cancelAnnouncement(announcement, req.user);
+
+      logger.info(`Announcement ${announcement.id} canceled by ${req.user.name}`);
+
+      res.json({ message: 'Announcement canceled', announcement });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/v1/announcement/:id/pin - Unpin a sent announcement (Admin only)
+router.delete('/:id/pin',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const announcement = await announcementService.getAnnouncement(req.params.id, groupScope(req.user));
+
+      if (!announcement) {
+        return res.status(404).json({ error: 'Announcement not found' });
+      }
+
+      await announcementService.unpinAnnouncement(announcement);
+
+      if (announcement.status === 'sent') {
+        notifyAnnouncementUnpinned(announcement);
+      }
+
+      res.json({ message: 'Announcement unpinned', announcement });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,329 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, param, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/auth.js';
+import { User } from '../models/index.js';
+import * as authService from '../services/authService.js';
+import * as emailService from '../services/emailService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+function handleValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+}
+
+// POST /api/v1/auth/register - Register new jamaah
+router.post('/register',
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 255 })
+      .withMessage('Name must be between 2-255 characters'),
+    body('email')
+      .trim()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Invalid email format'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters'),
+    body('no_ktp')
+      .trim()
+      .matches(/^[0-9]{16}$/)
+      .withMessage('KTP must be exactly 16 digits'),
+    body('no_handphone')
+      .trim()
+      .matches(/^[0-9+\-\s()]+$/)
+      .isLength({ max: 15 })
+      .withMessage('Invalid phone number format'),
+    body('alamat')
+      .trim()
+      .notEmpty()
+      .withMessage('Address cannot be empty'),
+    body('jamaah')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Invalid jamaah group')
+  ],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { name, email, password, no_ktp, no_handphone, alamat, jamaah } = req.body;
+
+      const existing = await User.findOne({
+        where: { [Op.or]: [{ email }, { no_ktp }] }
+      });
+      if (existing) {
+        return res.status(409).json({ error: 'Email or KTP number already registered' });
+      }
+
+      const verificationToken = authService.generateOneTimeToken();
+
+      // Self-registration always creates a jamaah account
+      const user = await User.create({
+        name,
+        email,
+        password,
+        no_ktp,
+        no_handphone,
+        alamat,
+        ...(jamaah && { jamaah }),
+        role: 'jamaah',
+        verificationToken: authService.hashOneTimeToken(verificationToken)
+      });
+
+      await emailService.sendVerificationEmail(user, verificationToken);
+
+      logger.info(`User registered: ${user.email}`);
+
+      res.status(201).json({
+        message: 'Registration successful',
+        token: authService.generateAuthToken(user),
+        user: user.toPublicJSON()
+      });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.errors.map(e => ({ path: e.path, msg: e.message }))
+        });
+      }
+      logger.error('Failed to register user:', error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/auth/login - Login with email & password
+router.post('/login',
+  [
+    body('email')
+      .trim()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Invalid email format'),
+    body('password')
+      .notEmpty()
+      .withMessage('Password required')
+  ],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { email, password } = req.body;
+      const user = await User.findByEmail(email);
+
+      if (!user || !(await user.comparePassword(password))) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      if (!user.isActive()) {
+        return res.status(403).json({ error: `Account is ${user.status}` });
+      }
+
+      await user.updateLastLogin(req.ip);
+
+      logger.info(`User logged in: ${user.email}`);
+
+      res.json({
+        message: 'Login successful',
+        token: authService.generateAuthToken(user),
+        user: user.toPublicJSON()
+      });
+
+    } catch (error) {
+      logger.error('Failed to login:', error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/auth/logout - Revoke current token
+router.post('/logout',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      await authService.revokeToken(req.auth);
+
+      req.session?.destroy(() => {});
+
+      logger.info(`User logged out: ${req.user.email}`);
+
+      res.json({ message: 'Logout successful' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/auth/me - Current user profile
+router.get('/me',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ user: user.toPublicJSON() });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/auth/verify-email/:token - Verify email address
+router.get('/verify-email/:token',
+  [
+    param('token')
+      .trim()
+      .isHexadecimal()
+      .withMessage('Invalid verification token')
+  ],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const user = await User.findOne({
+        where: { verificationToken: authService.hashOneTimeToken(req.params.token) }
+      });
+
+      if (!user) {
+        return res.status(400).json({ error: 'Invalid or expired verification token' });
+      }
+
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.verificationToken = null;
+      await user.save();
+
+      logger.info(`Email verified: ${user.email}`);
+
+      res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/auth/resend-verification - Send a new verification email
+router.post('/resend-verification',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (user.emailVerified) {
+        return res.status(400).json({ error: 'Email already verified' });
+      }
+
+      const verificationToken = authService.generateOneTimeToken();
+      user.verificationToken = authService.hashOneTimeToken(verificationToken);
+      await user.save();
+
+      await emailService.sendVerificationEmail(user, verificationToken);
+
+      res.json({ message: 'Verification email sent' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/auth/forgot-password - Request password reset token
+router.post('/forgot-password',
+  [
+    body('email')
+      .trim()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Invalid email format')
+  ],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const user = await User.findByEmail(req.body.email);
+
+      // Same response whether or not the email exists
+      if (user) {
+        const resetToken = authService.generateOneTimeToken();
+        user.resetPasswordToken = authService.hashOneTimeToken(resetToken);
+        user.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL);
+        await user.save();
+
+        await emailService.sendPasswordResetEmail(user, resetToken);
+        logger.info(`Password reset requested: ${user.email}`);
+      }
+
+      res.json({ message: 'If the email is registered, a reset link has been sent' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/auth/reset-password - Set new password using reset token
+router.post('/reset-password',
+  [
+    body('token')
+      .trim()
+      .isHexadecimal()
+      .withMessage('Invalid reset token'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const user = await User.findOne({
+        where: {
+          resetPasswordToken: authService.hashOneTimeToken(req.body.token),
+          resetPasswordExpires: { [Op.gt]: new Date() }
+        }
+      });
+
+      if (!user) {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+
+      user.password = req.body.password;
+      user.resetPasswordToken = null;
+      user.resetPasswordExpires = null;
+      await user.save();
+
+      // Sign out every device still holding an old token
+      await authService.revokeUserTokens(user.id);
+
+      logger.info(`Password reset: ${user.email}`);
+
+      res.json({ message: 'Password reset successful' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,129 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, groupScope } from '../middleware/auth.js';
+import * as emergencyService from '../services/emergencyService.js';
+import { notifyEmergencyUpdate } from '../websocket/connection.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Workflow endpoints: POST /:id/<action> moves the incident to <status>
+const EMERGENCY_ACTIONS = {
+  acknowledge: 'acknowledged',
+  'en-route': 'en-route',
+  resolve: 'resolved'
+};
+
+// GET /api/v1/emergency - Dashboard: unresolved incidents with last known location (Admin only)
+router.get('/', authenticate, requireAdmin, async (req, res, next) => {
+  try {
+    const emergencies = await emergencyService.listUnresolved(groupScope(req.user));
+
+    const counts = { open: 0, acknowledged: 0, 'en-route': 0 };
+    for (const emergency of emergencies) {
+      counts[emergency.status] += 1;
+    }
+
+    res.json({
+      total: emergencies.length,
+      counts,
+      emergencies: emergencies.map(emergencyService.toPayload)
+    });
+
+  } catch (error) {
+    logger.error('Failed to list emergencies:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/emergency/:id - Incident detail with its action log (Admin only)
+router.get('/:id',
+  authenticate,
+  requireAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid emergency ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const emergency = await emergencyService.getEmergency(req.params.id, req.user);
+
+      res.json({
+        emergency: emergencyService.toPayload(emergency),
+        resolutionNote: emergency.resolutionNote,
+        actions: emergency.actions.map(action => ({
+          action: action.action,
+          fromStatus: action.fromStatus,
+          toStatus: action.toStatus,
+          note: action.note,
+          via: action.via,
+          actor: action.actor && { id: action.actor.id, name: action.actor.name },
+          timestamp: action.createdAt
+        }))
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/emergency/:id/(acknowledge|en-route|resolve) - Update incident status (Admin only)
+router.post('/:id/:action',
+  authenticate,
+  requireAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid emergency ID'),
+    param('action')
+      .isIn(Object.keys(EMERGENCY_ACTIONS))
+      .withMessage('Unknown emergency action'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const emergency = await emergencyService.updateStatus(
+        req.params.id,
+        req.user,
+        EMERGENCY_ACTIONS[req.params.action],
+        { note: req.body.note, via: 'rest' }
+      );
+
+      // Sockets are best-effort; the change is already stored
+      notifyEmergencyUpdate(emergency).catch((error) => {
+        logger.error('Failed to broadcast emergency update:', error);
+      });
+
+      res.json({
+        message: 'Emergency updated',
+        emergency: emergencyService.toPayload(emergency)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,277 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, groupScope, canAccessGroup } from '../middleware/auth.js';
+import { Geofence, Room } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Body fields shared by create and update; required ones are only
+// enforced on create
+function geofenceValidators({ create }) {
+  const required = (chain) => create ? chain : chain.optional();
+
+  return [
+    required(body('name')).trim().notEmpty().isLength({ max: 100 }),
+    required(body('shape')).isIn(['circle', 'polygon']),
+    body('jamaahGroup').optional().trim().notEmpty(),
+    body('roomName').optional({ values: 'null' }).trim().notEmpty(),
+    body('center.latitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+    body('center.longitude').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+    body('radiusMeters').optional().isInt({ min: 10, max: 50000 }).toInt(),
+    body('points').optional().isArray({ min: 3, max: 100 }),
+    body('points.*.latitude').isFloat({ min: -90, max: 90 }).toFloat(),
+    body('points.*.longitude').isFloat({ min: -180, max: 180 }).toFloat(),
+    body('alertOn').optional().isIn(['exit', 'enter', 'both']),
+    body(['startsAt', 'endsAt']).optional({ values: 'null' }).isISO8601().toDate(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+}
+
+// Request body -> model attributes (only what was sent)
+function toAttributes(body) {
+  const attributes = {};
+
+  for (const field of ['name', 'shape', 'radiusMeters', 'points', 'alertOn', 'startsAt', 'endsAt', 'isActive']) {
+    if (body[field] !== undefined) attributes[field] = body[field];
+  }
+
+  if (body.center) {
+    attributes.centerLatitude = body.center.latitude;
+    attributes.centerLongitude = body.center.longitude;
+  }
+
+  return attributes;
+}
+
+// roomName -> roomId, limited to rooms of the fence's group
+async function resolveRoomId(roomName, jamaahGroup) {
+  if (roomName === undefined) return undefined;
+  if (roomName === null) return null;
+
+  const room = await Room.findOne({ where: { name: roomName, jamaahGroup } });
+  return room ? room.id : false;
+}
+
+async function findScopedGeofence(id, user) {
+  return await Geofence.findOne({
+    where: { id, ...groupScope(user) },
+    include: [{ model: Room, as: 'room', attributes: ['id', 'name', 'displayName'] }]
+  });
+}
+
+function validationFailed(res, error) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.errors.map(e => ({ path: e.path, msg: e.message }))
+  });
+}
+
+// GET /api/v1/geofence - List geofences of the caller's group (Admin only)
+router.get('/',
+  authenticate,
+  requireAdmin,
+  [
+    query('roomName')
+      .optional()
+      .trim()
+      .notEmpty()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const geofences = await Geofence.findAll({
+        where: groupScope(req.user),
+        include: [{
+          model: Room,
+          as: 'room',
+          attributes: ['id', 'name', 'displayName'],
+          ...(req.query.roomName && { where: { name: req.query.roomName } })
+        }],
+        order: [['name', 'ASC']]
+      });
+
+      res.json({ total: geofences.length, geofences });
+
+    } catch (error) {
+      logger.error('Failed to list geofences:', error);
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/geofence/:id - Geofence detail (Admin only)
+router.get('/:id',
+  authenticate,
+  requireAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid geofence ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const geofence = await findScopedGeofence(req.params.id, req.user);
+
+      if (!geofence) {
+        return res.status(404).json({ error: 'Geofence not found' });
+      }
+
+      res.json({ geofence });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/geofence - Create a geofence for a group or one of its rooms (Admin only)
+router.post('/',
+  authenticate,
+  requireAdmin,
+  geofenceValidators({ create: true }),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const jamaahGroup = req.body.jamaahGroup || req.user.jamaah;
+
+      if (!canAccessGroup(req.user, jamaahGroup)) {
+        return res.status(403).json({ error: 'Cannot manage another jamaah group' });
+      }
+
+      const roomId = await resolveRoomId(req.body.roomName, jamaahGroup);
+      if (roomId === false) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      const geofence = await Geofence.create({
+        ...toAttributes(req.body),
+        jamaahGroup,
+        roomId: roomId || null,
+        createdBy: req.user.id
+      });
+
+      logger.info(`Geofence "${geofence.name}" created for ${jamaahGroup} by ${req.user.name}`);
+
+      res.status(201).json({
+        message: 'Geofence created successfully',
+        geofence
+      });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return validationFailed(res, error);
+      }
+      logger.error('Failed to create geofence:', error);
+      next(error);
+    }
+  }
+);
+
+// PUT /api/v1/geofence/:id - Update a geofence (Admin only)
+router.put('/:id',
+  authenticate,
+  requireAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid geofence ID'),
+    ...geofenceValidators({ create: false })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const geofence = await findScopedGeofence(req.params.id, req.user);
+
+      if (!geofence) {
+        return res.status(404).json({ error: 'Geofence not found' });
+      }
+
+      const roomId = await resolveRoomId(req.body.roomName, geofence.jamaahGroup);
+      if (roomId === false) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      await geofence.update({
+        ...toAttributes(req.body),
+        ...(roomId !== undefined && { roomId })
+      });
+
+      res.json({ geofence: await geofence.reload() });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return validationFailed(res, error);
+      }
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/v1/geofence/:id - Delete a geofence (Admin only)
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid geofence ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const geofence = await findScopedGeofence(req.params.id, req.user);
+
+      if (!geofence) {
+        return res.status(404).json({ error: 'Geofence not found' });
+      }
+
+      await geofence.destroy();
+
+      logger.info(`Geofence "${geofence.name}" deleted by ${req.user.name}`);
+
+      res.json({ message: 'Geofence deleted successfully' });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
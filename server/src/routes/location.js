@@ -0,0 +1,51 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, canAccessGroup } from '../middleware/auth.js';
+import * as locationService from '../services/locationService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// GET /api/v1/location - Latest position of everyone sharing in the group (Admin only)
+router.get('/',
+  authenticate,
+  requireAdmin,
+  [
+    query('jamaahGroup')
+      .optional()
+      .trim()
+      .notEmpty()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const jamaahGroup = req.query.jamaahGroup || req.user.jamaah;
+
+      if (!canAccessGroup(req.user, jamaahGroup)) {
+        return res.status(403).json({ error: 'Cannot view another jamaah group' });
+      }
+
+      const locations = await locationService.getGroupLocations(jamaahGroup);
+
+      res.json({
+        jamaahGroup,
+        maxLeaderDistance: locationService.MAX_LEADER_DISTANCE,
+        total: locations.length,
+        locations
+      });
+
+    } catch (error) {
+      logger.error('Failed to get group locations:', error);
+      next(error);
+    }
+  }
+);
+
+export default router;
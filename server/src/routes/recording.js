@@ -0,0 +1,169 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, groupScope } from '../middleware/auth.js';
+import { Room } from '../models/index.js';
+import * as recordingService from '../services/recordingService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const idValidator = param('id')
+  .isUUID()
+  .withMessage('Invalid recording ID');
+
+async function findScopedRecording(id, user) {
+  return await recordingService.getRecording(id, groupScope(user));
+}
+
+// GET /api/v1/recording - Recording library of the caller's group, per room or session (Admin only)
+router.get('/',
+  authenticate,
+  requireAdmin,
+  [
+    query('roomName')
+      .optional()
+      .trim()
+      .notEmpty(),
+    query('sessionId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid session ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { roomName, sessionId } = req.query;
+      const where = {};
+
+      if (roomName) {
+        const room = await Room.findOne({
+          where: { name: roomName, ...groupScope(req.user) }
+        });
+
+        if (!room) {
+          return res.status(404).json({ error: 'Room not found' });
+        }
+
+        // Pick up recordings started outside the app and status changes
+        try {
+          await recordingService.syncRecordings(room);
+        } catch (error) {
+          logger.error(`Failed to sync recordings of ${room.name}:`, error);
+        }
+
+        where.roomId = room.id;
+      }
+
+      if (sessionId) {
+        where.sessionId = sessionId;
+      }
+
+      const recordings = await recordingService.listRecordings(where, groupScope(req.user));
+
+      res.json({ total: recordings.length, recordings });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/recording/:id - Recording detail (Admin only)
+router.get('/:id',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const recording = await findScopedRecording(req.params.id, req.user);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      res.json({ recording });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/recording/:id/link - Temporary link for streaming in the browser (Admin only)
+router.get('/:id/link',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const recording = await findScopedRecording(req.params.id, req.user);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      res.json(await recordingService.getAccessLink(recording));
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/recording/:id/download - Redirect to the recording file (Admin only)
+router.get('/:id/download',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const recording = await findScopedRecording(req.params.id, req.user);
+
+      if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const { downloadLink } = await recordingService.getAccessLink(recording);
+
+      logger.info(`Recording ${recording.id} downloaded by ${req.user.name}`);
+
+      res.redirect(downloadLink);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, canAccessGroup } from '../middleware/auth.js';
+import * as reportService from '../services/reportService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// GET /api/v1/report/attendance - Export attendance as CSV or PDF (Admin only)
+// Filters: roomName, from, to, jamaahGroup. Group admins always get their own group.
+router.get('/attendance',
+  authenticate,
+  requireAdmin,
+  [
+    query('format')
+      .optional()
+      .isIn(['csv', 'pdf', 'json'])
+      .withMessage('Format must be csv, pdf or json'),
+    query('roomName')
+      .optional()
+      .trim()
+      .notEmpty(),
+    query('jamaahGroup')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 }),
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .toDate(),
+    query('includeAbsent')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { format = 'csv', roomName, from, to, includeAbsent } = req.query;
+
+      if (req.query.jamaahGroup && !canAccessGroup(req.user, req.query.jamaahGroup)) {
+        return res.status(403).json({ error: 'Cannot report on another jamaah group' });
+      }
+
+      const jamaahGroup = req.user.role === 'superadmin'
+        ? req.query.jamaahGroup
+        : req.user.jamaah;
+
+      const report = await reportService.buildAttendanceReport({
+        roomName,
+        from,
+        to,
+        jamaahGroup,
+        // Absentees only make sense for a whole-group report
+        includeAbsent: includeAbsent ?? Boolean(jamaahGroup && !roomName)
+      });
+
+      logger.info(`Attendance report (${format}) exported by ${req.user.name}`, {
+        roomName, jamaahGroup, rows: report.rows.length
+      });
+
+      const filename = `kehadiran-${jamaahGroup || 'semua'}-${new Date().toISOString().slice(0, 10)}`;
+
+      if (format === 'json') {
+        return res.json({ report });
+      }
+
+      if (format === 'pdf') {
+        // attachment() encodes non-ASCII group names (RFC 5987)
+        res.attachment(`${filename}.pdf`);
+        return reportService.writePdf(report, res);
+      }
+
+      res.attachment(`${filename}.csv`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send(reportService.toCsv(report));
+
+    } catch (error) {
+      logger.error('Failed to export attendance:', error);
+      next(error);
+    }
+  }
+);
+
+export default router;
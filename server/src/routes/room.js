@@ -1,19 +1,31 @@
 import express from 'express';
 import { body, param, validationResult } from 'express-validator';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import {
+  authenticate,
+  requireAdmin,
+  requireSuperAdmin,
+  groupScope,
+  canAccessGroup
+} from '../middleware/auth.js';
+import { Room, RoomRenewalPolicy, RoomKick, User } from '../models/index.js';
+import { DEFAULT_RENEWAL_POLICY } from '../models/RoomRenewalPolicy.js';
 import * as dailyService from '../services/dailyService.js';
-import { getConnectionStats } from '../websocket/connection.js';
+import * as roomService from '../services/roomService.js';
+import * as moderationService from '../services/moderationService.js';
+import * as recordingService from '../services/recordingService.js';
+import { getConnectionStats, notifyRoomModeChange } from '../websocket/connection.js';
+import { reconcileRooms } from '../jobs/roomReconciler.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// GET /api/v1/room/list - List all rooms (Admin only)
+// GET /api/v1/room/list - List rooms in the caller's jamaah group (Admin only)
 router.get('/list', 
   authenticate, 
   requireAdmin,
   async (req, res, next) => {
     try {
-      const rooms = await dailyService.listRooms();
+      const rooms = await roomService.listRooms(groupScope(req.user));
       res.json({ rooms });
     } catch (error) {
       logger.error('Failed to list rooms:', error);
@@ -35,7 +47,31 @@ router.post('/create',
     body('maxParticipants')
       .optional()
       .isInt({ min: 2, max: 200 })
-      .withMessage('Max participants must be between 2-200')
+      .withMessage('Max participants must be between 2-200'),
+    body('displayName')
+      .optional()
+      .trim()
+      .isLength({ max: 255 }),
+    body('description')
+      .optional()
+      .trim(),
+    body('jamaahGroup')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 }),
+    body(['isPrivate', 'enableChat', 'enableRecording', 'enableScreenshare'])
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+    body('expiresAt')
+      .optional()
+      .isISO8601()
+      .toDate()
+      .custom(value => value > new Date())
+      .withMessage('Expiry must be in the future'),
+    body('mode')
+      .optional()
+      .isIn(['open', 'broadcast'])
   ],
   async (req, res, next) => {
     try {
@@ -47,27 +83,61 @@ router.post('/create',
         });
       }
 
-      const { roomName, maxParticipants } = req.body;
+      const {
+        roomName,
+        maxParticipants,
+        displayName,
+        description,
+        jamaahGroup,
+        isPrivate,
+        enableChat,
+        enableRecording,
+        enableScreenshare,
+        expiresAt,
+        mode
+      } = req.body;
 
-      const room = await dailyService.createRoom(roomName, {
-        maxParticipants: maxParticipants || 50
+      // Group admins can only create rooms for their own group
+      if (jamaahGroup && !canAccessGroup(req.user, jamaahGroup)) {
+        return res.status(403).json({ error: 'Cannot create rooms for another jamaah group' });
+      }
+
+      const room = await roomService.createRoom({
+        name: roomName,
+        displayName,
+        description,
+        maxParticipants: maxParticipants || 50,
+        isPrivate,
+        enableChat,
+        enableRecording,
+        enableScreenshare,
+        expiresAt,
+        mode,
+        ownerId: req.user.id,
+        jamaahGroup: jamaahGroup || req.user.jamaah
       });
 
       logger.info(`Room created by ${req.user.name}: ${roomName}`);
 
       res.status(201).json({
         message: 'Room created successfully',
-        room
+        room: room.toPublicJSON()
       });
 
     } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.errors.map(e => ({ path: e.path, msg: e.message }))
+        });
+      }
       logger.error('Failed to create room:', error);
       next(error);
     }
   }
 );
 
-// GET /api/v1/room/:roomName - Get room info
+// GET /api/v1/room/:roomName - Get room info (own jamaah group only)
 router.get('/:roomName',
   authenticate,
   [
@@ -78,13 +148,23 @@ router.get('/:roomName',
   async (req, res, next) => {
     try {
       const { roomName } = req.params;
-      const room = await dailyService.getRoomInfo(roomName);
-      
-      res.json({ room });
-    } catch (error) {
-      if (error.response?.status === 404) {
+      const room = await Room.findOne({
+        where: { name: roomName, ...groupScope(req.user) }
+      });
+
+      if (!room) {
         return res.status(404).json({ error: 'Room not found' });
       }
+
+      let daily = null;
+      try {
+        daily = await dailyService.getRoomInfo(roomName);
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+      
+      res.json({ room: room.toPublicJSON(), daily });
+    } catch (error) {
       next(error);
     }
   }
@@ -102,7 +182,15 @@ router.delete('/:roomName',
   async (req, res, next) => {
     try {
       const { roomName } = req.params;
-      await dailyService.deleteRoom(roomName);
+      const room = await Room.findOne({
+        where: { name: roomName, ...groupScope(req.user) }
+      });
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      await roomService.deleteRoom(room);
       
       logger.info(`Room deleted by ${req.user.name}: ${roomName}`);
       
@@ -116,13 +204,190 @@ router.delete('/:roomName',
   }
 );
 
+// PUT /api/v1/room/:roomName/mode - Switch between open and broadcast mode (Admin only)
+router.put('/:roomName/mode',
+  authenticate,
+  requireAdmin,
+  [
+    param('roomName')
+      .trim()
+      .notEmpty(),
+    body('mode')
+      .isIn(['open', 'broadcast'])
+      .withMessage('Mode must be open or broadcast')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { roomName } = req.params;
+      const room = await Room.findOne({
+        where: { name: roomName, ...groupScope(req.user) }
+      });
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      await room.update({ mode: req.body.mode });
+
+      // Participants already in the call get the new permissions right away
+      await notifyRoomModeChange(room);
+
+      logger.info(`Room ${roomName} switched to ${room.mode} mode by ${req.user.name}`);
+
+      res.json({
+        message: 'Room mode updated',
+        roomName,
+        mode: room.mode
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/room/:roomName/kicks - Kick history of a room (Admin only)
+router.get('/:roomName/kicks',
+  authenticate,
+  requireAdmin,
+  [
+    param('roomName')
+      .trim()
+      .notEmpty()
+  ],
+  async (req, res, next) => {
+    try {
+      const room = await Room.findOne({
+        where: { name: req.params.roomName, ...groupScope(req.user) }
+      });
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      const kicks = await RoomKick.findAll({
+        where: { roomId: room.id },
+        include: [
+          { model: User, as: 'user', attributes: ['id', 'name', 'no_handphone'], paranoid: false },
+          { model: User, as: 'kicker', attributes: ['id', 'name'], paranoid: false }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: 100
+      });
+
+      res.json({ roomName: room.name, kicks });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/v1/room/:roomName/bans/:userId - Let a kicked jamaah rejoin early (Admin only)
+router.delete('/:roomName/bans/:userId',
+  authenticate,
+  requireAdmin,
+  [
+    param('roomName')
+      .trim()
+      .notEmpty(),
+    param('userId')
+      .isUUID()
+      .withMessage('Invalid user ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const room = await Room.findOne({
+        where: { name: req.params.roomName, ...groupScope(req.user) }
+      });
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      if (!(await moderationService.liftBan(room.name, req.params.userId))) {
+        return res.status(404).json({ error: 'No active ban for this user' });
+      }
+
+      logger.info(`Ban of ${req.params.userId} in ${room.name} lifted by ${req.user.name}`);
+
+      res.json({ message: 'Ban lifted' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/room/:roomName/recording/:action - Start or stop cloud recording (Admin only)
+router.post('/:roomName/recording/:action',
+  authenticate,
+  requireAdmin,
+  [
+    param('roomName')
+      .trim()
+      .notEmpty(),
+    param('action')
+      .isIn(['start', 'stop'])
+      .withMessage('Action must be start or stop')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const room = await Room.findOne({
+        where: { name: req.params.roomName, ...groupScope(req.user) }
+      });
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      const recording = req.params.action === 'start'
+        ? await recordingService.startRecording(room, req.user)
+        : await recordingService.stopRecording(room, req.user);
+
+      res.status(req.params.action === 'start' ? 201 : 200).json({
+        message: `Recording ${req.params.action === 'start' ? 'started' : 'stopped'}`,
+        recording
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // GET /api/v1/room/stats/connections - Get real-time connection stats
 router.get('/stats/connections',
   authenticate,
   requireAdmin,
-  (req, res) => {
-    const stats = getConnectionStats();
-    res.json(stats);
+  async (req, res, next) => {
+    try {
+      const jamaahGroup = req.user.role === 'superadmin' ? null : req.user.jamaah;
+      const stats = await getConnectionStats(jamaahGroup);
+      res.json(stats);
+    } catch (error) {
+      next(error);
+    }
   }
 );
 
@@ -133,7 +398,139 @@ router.get('/meetings/active',
   async (req, res, next) => {
     try {
       const meetings = await dailyService.getActiveMeetings();
-      res.json({ meetings });
+
+      if (req.user.role === 'superadmin') {
+        return res.json({ meetings });
+      }
+
+      const rooms = await Room.findAll({
+        where: groupScope(req.user),
+        attributes: ['name']
+      });
+      const roomNames = new Set(rooms.map(r => r.name));
+
+      res.json({ meetings: meetings.filter(m => roomNames.has(m.room)) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/room/reconcile/report - Dry-run diff between Daily.co and database (Super-admin only)
+router.get('/reconcile/report',
+  authenticate,
+  requireSuperAdmin,
+  async (req, res, next) => {
+    try {
+      const report = await reconcileRooms({ dryRun: true });
+      res.json({ report });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/room/policies/renewal - List renewal policies per jamaah group
+router.get('/policies/renewal',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const policies = await RoomRenewalPolicy.findAll({
+        where: groupScope(req.user),
+        order: [['jamaahGroup', 'ASC']]
+      });
+      res.json({ defaults: DEFAULT_RENEWAL_POLICY, policies });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /api/v1/room/policies/renewal/:jamaahGroup - Create or update a group's policy
+router.put('/policies/renewal/:jamaahGroup',
+  authenticate,
+  requireAdmin,
+  [
+    param('jamaahGroup')
+      .trim()
+      .isLength({ min: 1, max: 50 }),
+    body('lifetimeDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .toInt(),
+    body('renewalWindowHours')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt(),
+    body('idleDays')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt(),
+    body('autoRenew')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { jamaahGroup } = req.params;
+
+      if (!canAccessGroup(req.user, jamaahGroup)) {
+        return res.status(403).json({ error: 'Cannot manage another jamaah group' });
+      }
+
+      const { lifetimeDays, renewalWindowHours, idleDays, autoRenew } = req.body;
+
+      const [policy] = await RoomRenewalPolicy.findOrCreate({
+        where: { jamaahGroup },
+        defaults: { updatedBy: req.user.id }
+      });
+
+      await policy.update({
+        ...(lifetimeDays !== undefined && { lifetimeDays }),
+        ...(renewalWindowHours !== undefined && { renewalWindowHours }),
+        ...(idleDays !== undefined && { idleDays }),
+        ...(autoRenew !== undefined && { autoRenew }),
+        updatedBy: req.user.id
+      });
+
+      logger.info(`Renewal policy for ${jamaahGroup} updated by ${req.user.name}`);
+
+      res.json({ policy });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/v1/room/policies/renewal/:jamaahGroup - Revert a group to the default policy
+router.delete('/policies/renewal/:jamaahGroup',
+  authenticate,
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      if (!canAccessGroup(req.user, req.params.jamaahGroup)) {
+        return res.status(403).json({ error: 'Cannot manage another jamaah group' });
+      }
+
+      const deleted = await RoomRenewalPolicy.destroy({
+        where: { jamaahGroup: req.params.jamaahGroup }
+      });
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Policy not found' });
+      }
+
+      res.json({ message: 'Policy removed, defaults apply' });
     } catch (error) {
       next(error);
     }
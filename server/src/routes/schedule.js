@@ -0,0 +1,294 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, groupScope, canAccessGroup } from '../middleware/auth.js';
+import { Room, ScheduledSession } from '../models/index.js';
+import * as scheduleService from '../services/scheduleService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const idValidator = param('id')
+  .isUUID()
+  .withMessage('Invalid session ID');
+
+// Body fields shared by create and update; required ones are only
+// enforced on create
+function sessionValidators({ create }) {
+  const required = (chain) => create ? chain : chain.optional();
+
+  return [
+    required(body('title')).trim().notEmpty().isLength({ max: 150 }),
+    required(body('roomName')).trim().notEmpty(),
+    required(body('startsAt')).isISO8601().toDate(),
+    required(body('endsAt')).isISO8601().toDate(),
+    body('type').optional().isIn(['manasik', 'ziarah', 'departure', 'briefing', 'other']),
+    body('description').optional({ values: 'null' }).trim(),
+    body(['openBeforeMinutes', 'closeAfterMinutes']).optional().isInt({ min: 0, max: 240 }).toInt(),
+    body('jamaahGroup').optional().trim().notEmpty()
+  ];
+}
+
+// Request body -> model attributes (only what was sent)
+function toAttributes(body) {
+  const attributes = {};
+
+  for (const field of ['title', 'type', 'description', 'startsAt', 'endsAt', 'openBeforeMinutes', 'closeAfterMinutes']) {
+    if (body[field] !== undefined) attributes[field] = body[field];
+  }
+
+  return attributes;
+}
+
+function validationFailed(res, error) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.errors.map(e => ({ path: e.path, msg: e.message }))
+  });
+}
+
+// GET /api/v1/schedule - Itinerary of the caller's group
+router.get('/',
+  authenticate,
+  [
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .toDate(),
+    query('roomName')
+      .optional()
+      .trim()
+      .notEmpty(),
+    query('includeCanceled')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { from, to, roomName, includeCanceled } = req.query;
+      const where = groupScope(req.user);
+
+      if (from || to) {
+        where.startsAt = {
+          ...(from && { [Op.gte]: from }),
+          ...(to && { [Op.lt]: to })
+        };
+      }
+
+      if (!includeCanceled) {
+        where.status = { [Op.ne]: 'canceled' };
+      }
+
+      if (roomName) {
+        const room = await Room.findOne({
+          where: { name: roomName, ...groupScope(req.user) }
+        });
+
+        if (!room) {
+          return res.status(404).json({ error: 'Room not found' });
+        }
+
+        where.roomId = room.id;
+      }
+
+      const sessions = await scheduleService.listSessions(where);
+
+      res.json({ total: sessions.length, sessions });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/schedule/:id - Scheduled session detail
+router.get('/:id',
+  authenticate,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const session = await scheduleService.getSession(req.params.id, groupScope(req.user));
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json({ session });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/schedule - Add a session to a group's itinerary (Admin only)
+router.post('/',
+  authenticate,
+  requireAdmin,
+  sessionValidators({ create: true }),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const jamaahGroup = req.body.jamaahGroup || req.user.jamaah;
+
+      if (!canAccessGroup(req.user, jamaahGroup)) {
+        return res.status(403).json({ error: 'Cannot manage another jamaah group' });
+      }
+
+      const room = await Room.findOne({ where: { name: req.body.roomName, jamaahGroup } });
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      const created = await ScheduledSession.create({
+        ...toAttributes(req.body),
+        jamaahGroup,
+        roomId: room.id,
+        createdBy: req.user.id
+      });
+
+      const session = await scheduleService.getSession(created.id);
+      await scheduleService.syncSession(session);
+
+      logger.info(`Session "${session.title}" scheduled in ${room.name} by ${req.user.name}`);
+
+      res.status(201).json({
+        message: 'Session scheduled successfully',
+        session
+      });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return validationFailed(res, error);
+      }
+      logger.error('Failed to schedule session:', error);
+      next(error);
+    }
+  }
+);
+
+// PUT /api/v1/schedule/:id - Update a scheduled session (Admin only)
+router.put('/:id',
+  authenticate,
+  requireAdmin,
+  [
+    idValidator,
+    ...sessionValidators({ create: false })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const session = await scheduleService.getSession(req.params.id, groupScope(req.user));
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (session.status === 'canceled') {
+        return res.status(409).json({ error: 'Session is canceled' });
+      }
+
+      const attributes = toAttributes(req.body);
+
+      if (req.body.roomName) {
+        const room = await Room.findOne({
+          where: { name: req.body.roomName, jamaahGroup: session.jamaahGroup }
+        });
+
+        if (!room) {
+          return res.status(404).json({ error: 'Room not found' });
+        }
+
+        if (room.id !== session.roomId && session.status === 'open') {
+          return res.status(409).json({ error: 'Cannot move a session that is in progress' });
+        }
+
+        attributes.roomId = room.id;
+      }
+
+      // New start time: remind again
+      if (attributes.startsAt && new Date(attributes.startsAt).getTime() !== new Date(session.startsAt).getTime()) {
+        attributes.remindedAt = null;
+      }
+
+      await session.update(attributes);
+      await session.reload();
+      await scheduleService.syncSession(session);
+
+      res.json({ session });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return validationFailed(res, error);
+      }
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/v1/schedule/:id - Cancel a scheduled session (Admin only)
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const session = await scheduleService.getSession(req.params.id, groupScope(req.user));
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      await scheduleService.cancelSession(session);
+
+      logger.info(`Session "${session.title}" canceled by ${req.user.name}`);
+
+      res.json({ message: 'Session canceled', session });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
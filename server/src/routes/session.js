@@ -0,0 +1,134 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { param, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, groupScope } from '../middleware/auth.js';
+import { Room, RoomSession } from '../models/index.js';
+import * as sessionService from '../services/sessionService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// GET /api/v1/session - List room sessions (Admin only)
+router.get('/',
+  authenticate,
+  requireAdmin,
+  [
+    query('roomName')
+      .optional()
+      .trim()
+      .notEmpty(),
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .toDate(),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { roomName, from, to, page = 1, limit = 20 } = req.query;
+
+      const where = {};
+      if (from || to) {
+        where.startedAt = {
+          ...(from && { [Op.gte]: from }),
+          ...(to && { [Op.lte]: to })
+        };
+      }
+
+      const { rows, count } = await RoomSession.findAndCountAll({
+        where,
+        include: [{
+          model: Room,
+          as: 'room',
+          attributes: ['id', 'name', 'displayName', 'jamaahGroup'],
+          where: {
+            ...groupScope(req.user),
+            ...(roomName && { name: roomName })
+          },
+          paranoid: false
+        }],
+        order: [['startedAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        sessions: rows.map(session => ({
+          ...session.toJSON(),
+          durationMinutes: session.getDurationMinutes()
+        })),
+        pagination: { page, limit, total: count }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list sessions:', error);
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/session/:sessionId - Session detail with per-jamaah attendance (Admin only)
+router.get('/:sessionId',
+  authenticate,
+  requireAdmin,
+  [
+    param('sessionId')
+      .isUUID()
+      .withMessage('Invalid session ID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const session = await RoomSession.findByPk(req.params.sessionId, {
+        include: [{
+          model: Room,
+          as: 'room',
+          attributes: ['id', 'name', 'displayName', 'jamaahGroup'],
+          where: groupScope(req.user),
+          paranoid: false
+        }]
+      });
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const attendance = await sessionService.getAttendanceSummary(session.id);
+
+      res.json({
+        session: {
+          ...session.toJSON(),
+          durationMinutes: session.getDurationMinutes()
+        },
+        attendance
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { authenticate, canAccessGroup } from '../middleware/auth.js';
+import { tokenRateLimiter } from '../middleware/rateLimiter.js';
+import { User, Room } from '../models/index.js';
+import * as dailyService from '../services/dailyService.js';
+import * as micService from '../services/micService.js';
+import * as moderationService from '../services/moderationService.js';
+import * as scheduleService from '../services/scheduleService.js';
+import { revokeUserAccess } from '../services/authService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// POST /api/v1/token/generate - Generate Daily.co meeting token for a room
+router.post('/generate',
+  authenticate,
+  tokenRateLimiter,
+  [
+    body('roomName')
+      .trim()
+      .notEmpty()
+      .matches(/^[a-zA-Z0-9-_]+$/)
+      .withMessage('Invalid room name format')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { roomName } = req.body;
+
+      // Always check the live account, the JWT may predate a suspension
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        return res.status(401).json({ error: 'User not found' });
+      }
+
+      if (user.status === 'suspended') {
+        await revokeUserAccess(user.id);
+        logger.warn(`Token request from suspended user ${user.id} rejected`);
+        return res.status(403).json({ error: 'Account is suspended' });
+      }
+
+      if (!user.isActive()) {
+        return res.status(403).json({ error: `Account is ${user.status}` });
+      }
+
+      const room = await Room.findByName(roomName);
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      if (!canAccessGroup(user, room.jamaahGroup)) {
+        logger.warn(`User ${user.id} (${user.jamaah}) denied token for room ${roomName} (${room.jamaahGroup})`);
+        return res.status(403).json({ error: 'Room belongs to another jamaah group' });
+      }
+
+      if (!room.isActive()) {
+        return res.status(403).json({ error: 'Room is not active' });
+      }
+
+      // Kicked recently
+      const banTtl = await moderationService.getBanTtl(room.name, user.id);
+      if (banTtl) {
+        return res.status(403).json({
+          error: 'You have been removed from this room',
+          retryAfter: banTtl
+        });
+      }
+
+      // Rooms with an itinerary only admit jamaah during a session window
+      let expiresAt = null;
+      if (!user.isAdmin()) {
+        const { scheduled, session, next } = await scheduleService.checkRoomWindow(room);
+
+        if (scheduled && !session) {
+          return res.status(403).json({
+            error: 'Room is only open during scheduled sessions',
+            nextSession: next && {
+              title: next.title,
+              startsAt: next.startsAt,
+              opensAt: next.opensAt
+            }
+          });
+        }
+
+        expiresAt = session?.closesAt || null;
+      }
+
+      // Broadcast rooms: jamaah join as listeners until granted the mic.
+      // Muted jamaah (or everyone, after mute-all) stay muted on rejoin.
+      const listenOnly = !user.isAdmin() &&
+        (room.isBroadcast() || await micService.isMuted(room.name, user.id));
+
+      const token = await dailyService.generateMeetingToken(room.name, user.id, user.role, {
+        listenOnly,
+        allowRecording: room.enableRecording,
+        expiresAt
+      });
+
+      res.json({
+        token,
+        roomName: room.name,
+        roomUrl: room.dailyRoomUrl,
+        mode: room.mode
+      });
+
+    } catch (error) {
+      logger.error('Failed to generate token:', error);
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,513 @@
+import express from 'express';
+import multer from 'multer';
+import { Op } from 'sequelize';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin, groupScope, canAccessGroup } from '../middleware/auth.js';
+import { User } from '../models/index.js';
+import { revokeUserAccess } from '../services/authService.js';
+import * as importService from '../services/importService.js';
+import { disconnectUser } from '../websocket/connection.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Manifests are parsed in memory, never written to disk
+const manifestUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+});
+
+// Upload problems (too large, wrong field) are the client's fault
+function uploadManifest(req, res, next) {
+  manifestUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}
+
+function handleValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+}
+
+function validationFailed(res, error) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.errors.map(e => ({ path: e.path, msg: e.message }))
+  });
+}
+
+const idValidator = param('id')
+  .isUUID()
+  .withMessage('Invalid user ID');
+
+// Admins manage the jamaah of their own group; super-admins manage everyone
+function canManageUser(actor, user) {
+  return actor.role === 'superadmin' ||
+    (user.role === 'jamaah' && user.jamaah === actor.jamaah);
+}
+
+// Looks up the target (deleted ones included) and answers 404/403 itself.
+// Returns null when a response was sent.
+async function findManagedUser(req, res) {
+  const user = await User.findOne({
+    where: { id: req.params.id, ...groupScope(req.user, 'jamaah') },
+    paranoid: false
+  });
+
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  if (!canManageUser(req.user, user)) {
+    res.status(403).json({ error: 'Cannot manage admin accounts' });
+    return null;
+  }
+
+  return user;
+}
+
+// Existing JWTs, cached meeting tokens and live sockets stop working now
+async function cutOff(user, reason) {
+  await revokeUserAccess(user.id);
+  await disconnectUser(user.id, reason);
+}
+
+// Body fields shared by create and update; required ones are only
+// enforced on create
+function userValidators({ create }) {
+  const required = (chain) => create ? chain : chain.optional();
+
+  return [
+    required(body('name')).trim().isLength({ min: 2, max: 255 })
+      .withMessage('Name must be between 2-255 characters'),
+    required(body('email')).trim().isEmail().normalizeEmail()
+      .withMessage('Invalid email format'),
+    required(body('password')).isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters'),
+    required(body('no_ktp')).trim().matches(/^[0-9]{16}$/)
+      .withMessage('KTP must be exactly 16 digits'),
+    required(body('no_handphone')).trim().matches(/^[0-9+\-\s()]+$/).isLength({ max: 15 })
+      .withMessage('Invalid phone number format'),
+    required(body('alamat')).trim().notEmpty()
+      .withMessage('Address cannot be empty'),
+    body('jamaah').optional().trim().isLength({ min: 1, max: 50 })
+      .withMessage('Invalid jamaah group'),
+    body('role').optional().isIn(['jamaah', 'admin', 'superadmin']),
+    body('status').optional().isIn(['active', 'inactive'])
+      .withMessage('Use the suspend endpoint to suspend a user')
+  ];
+}
+
+// Request body -> model attributes (only what was sent)
+function toAttributes(body) {
+  const attributes = {};
+
+  for (const field of ['name', 'email', 'password', 'no_ktp', 'no_handphone', 'alamat', 'jamaah', 'role', 'status']) {
+    if (body[field] !== undefined) attributes[field] = body[field];
+  }
+
+  return attributes;
+}
+
+// GET /api/v1/user - Search and page through users of the caller's group (Admin only)
+router.get('/',
+  authenticate,
+  requireAdmin,
+  [
+    query('q').optional().trim().isLength({ min: 1, max: 100 }),
+    query('status').optional().isIn(['active', 'inactive', 'suspended']),
+    query('role').optional().isIn(['jamaah', 'admin', 'superadmin']),
+    query('jamaah').optional().trim().notEmpty(),
+    query('deleted').optional().isIn(['exclude', 'include', 'only']),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { q, status, role, jamaah, deleted = 'exclude' } = req.query;
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      if (jamaah && !canAccessGroup(req.user, jamaah)) {
+        return res.status(403).json({ error: 'Cannot manage another jamaah group' });
+      }
+
+      const where = {
+        ...groupScope(req.user, 'jamaah'),
+        ...(jamaah && { jamaah }),
+        ...(status && { status }),
+        ...(role && { role })
+      };
+
+      if (q) {
+        where[Op.or] = ['name', 'email', 'no_ktp', 'no_handphone'].map(field => ({
+          [field]: { [Op.iLike]: `%${q}%` }
+        }));
+      }
+
+      if (deleted === 'only') {
+        where.deletedAt = { [Op.ne]: null };
+      }
+
+      const { count, rows } = await User.findAndCountAll({
+        where,
+        paranoid: deleted === 'exclude',
+        order: [['name', 'ASC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit),
+        users: rows.map(user => user.toPublicJSON())
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/user/:id - User detail, deleted ones included (Admin only)
+router.get('/:id',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const user = await User.findOne({
+        where: { id: req.params.id, ...groupScope(req.user, 'jamaah') },
+        paranoid: false
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ user: user.toPublicJSON() });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/user - Create a user (Admin only; admin roles need a super-admin)
+router.post('/',
+  authenticate,
+  requireAdmin,
+  userValidators({ create: true }),
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const attributes = toAttributes(req.body);
+      attributes.jamaah = attributes.jamaah || req.user.jamaah;
+      attributes.role = attributes.role || 'jamaah';
+
+      if (!canManageUser(req.user, attributes)) {
+        return res.status(403).json({
+          error: canAccessGroup(req.user, attributes.jamaah)
+            ? 'Cannot manage admin accounts'
+            : 'Cannot manage another jamaah group'
+        });
+      }
+
+      const existing = await User.findOne({
+        where: { [Op.or]: [{ email: attributes.email }, { no_ktp: attributes.no_ktp }] },
+        paranoid: false
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: existing.deletedAt
+            ? 'Email or KTP number belongs to a deleted user, restore it instead'
+            : 'Email or KTP number already registered'
+        });
+      }
+
+      const user = await User.create(attributes);
+
+      logger.info(`User ${user.email} (${user.role}, ${user.jamaah}) created by ${req.user.name}`);
+
+      res.status(201).json({
+        message: 'User created successfully',
+        user: user.toPublicJSON()
+      });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeUniqueConstraintError') {
+        return validationFailed(res, error);
+      }
+      logger.error('Failed to create user:', error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/user/import - Import jamaah from a CSV/XLSX manifest, upserting by no_ktp (Admin only)
+// multipart/form-data: file, jamaah, dryRun (default true), credentials (password | invite)
+router.post('/import',
+  authenticate,
+  requireAdmin,
+  uploadManifest,
+  [
+    body('jamaah')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Invalid jamaah group'),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+    body('credentials')
+      .optional()
+      .isIn(['password', 'invite'])
+  ],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'Manifest file is required' });
+      }
+
+      const jamaahGroup = req.body.jamaah || req.user.jamaah;
+
+      if (!canAccessGroup(req.user, jamaahGroup)) {
+        return res.status(403).json({ error: 'Cannot manage another jamaah group' });
+      }
+
+      const rows = await importService.parseManifest(req.file);
+
+      // Nothing is written unless the caller explicitly turns dry-run off
+      const result = await importService.importManifest(rows, {
+        jamaahGroup,
+        actor: req.user,
+        dryRun: req.body.dryRun !== false,
+        credentials: req.body.credentials || 'password'
+      });
+
+      res.status(result.dryRun ? 200 : 201).json(result);
+
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          error: 'Import conflicts with users created meanwhile, nothing was imported',
+          details: error.errors.map(e => ({ path: e.path, msg: e.message }))
+        });
+      }
+      logger.error('Failed to import manifest:', error);
+      next(error);
+    }
+  }
+);
+
+// PUT /api/v1/user/:id - Update a user (Admin only)
+router.put('/:id',
+  authenticate,
+  requireAdmin,
+  [
+    idValidator,
+    ...userValidators({ create: false })
+  ],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const user = await findManagedUser(req, res);
+      if (!user) return;
+
+      if (user.deletedAt) {
+        return res.status(409).json({ error: 'User is deleted, restore it first' });
+      }
+
+      const attributes = toAttributes(req.body);
+
+      // The result must still be someone the caller may manage
+      if (!canManageUser(req.user, { ...user.get(), ...attributes })) {
+        return res.status(403).json({ error: 'Cannot move users out of your jamaah group or change roles' });
+      }
+
+      // Role and group live in the JWT; status or credentials changed by an
+      // admin should end existing logins too
+      const endsLogins = attributes.password !== undefined ||
+        ['role', 'jamaah', 'status'].some(field =>
+          attributes[field] !== undefined && attributes[field] !== user[field]
+        );
+
+      await user.update(attributes);
+
+      if (endsLogins) {
+        await cutOff(user, 'Account updated by an admin');
+      }
+
+      logger.info(`User ${user.id} updated by ${req.user.name}`);
+
+      res.json({ user: user.toPublicJSON() });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeUniqueConstraintError') {
+        return validationFailed(res, error);
+      }
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/user/:id/suspend - Suspend a user and drop their connections (Admin only)
+router.post('/:id/suspend',
+  authenticate,
+  requireAdmin,
+  [
+    idValidator,
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+  ],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const user = await findManagedUser(req, res);
+      if (!user) return;
+
+      if (user.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot suspend your own account' });
+      }
+
+      if (user.deletedAt) {
+        return res.status(409).json({ error: 'User is deleted' });
+      }
+
+      if (user.status === 'suspended') {
+        return res.status(409).json({ error: 'User is already suspended' });
+      }
+
+      await user.update({ status: 'suspended' });
+      await cutOff(user, req.body.reason || 'Account suspended');
+
+      logger.warn(`User ${user.id} suspended by ${req.user.name}` +
+        (req.body.reason ? `: ${req.body.reason}` : ''));
+
+      res.json({ message: 'User suspended', user: user.toPublicJSON() });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/user/:id/reactivate - Reactivate a suspended or inactive user (Admin only)
+router.post('/:id/reactivate',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const user = await findManagedUser(req, res);
+      if (!user) return;
+
+      if (user.deletedAt) {
+        return res.status(409).json({ error: 'User is deleted, restore it first' });
+      }
+
+      if (user.isActive()) {
+        return res.status(409).json({ error: 'User is already active' });
+      }
+
+      await user.update({ status: 'active' });
+
+      logger.info(`User ${user.id} reactivated by ${req.user.name}`);
+
+      res.json({ message: 'User reactivated', user: user.toPublicJSON() });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/v1/user/:id - Soft-delete a user (Admin only)
+router.delete('/:id',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const user = await findManagedUser(req, res);
+      if (!user) return;
+
+      if (user.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+      }
+
+      if (user.deletedAt) {
+        return res.status(409).json({ error: 'User is already deleted' });
+      }
+
+      await user.destroy();
+      await cutOff(user, 'Account deleted');
+
+      logger.warn(`User ${user.id} deleted by ${req.user.name}`);
+
+      res.json({ message: 'User deleted successfully' });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/user/:id/restore - Restore a soft-deleted user (Admin only)
+router.post('/:id/restore',
+  authenticate,
+  requireAdmin,
+  [idValidator],
+  async (req, res, next) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const user = await findManagedUser(req, res);
+      if (!user) return;
+
+      if (!user.deletedAt) {
+        return res.status(409).json({ error: 'User is not deleted' });
+      }
+
+      await user.restore();
+
+      logger.info(`User ${user.id} restored by ${req.user.name}`);
+
+      res.json({ message: 'User restored', user: user.toPublicJSON() });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
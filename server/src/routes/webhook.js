@@ -0,0 +1,56 @@
+import express from 'express';
+import * as webhookService from '../services/webhookService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Signatures are computed over the exact bytes Daily sent, so this router
+// parses its own body and is mounted before express.json (see app.js)
+const rawBody = express.raw({ type: '*/*', limit: '1mb' });
+
+// POST /api/v1/webhooks/daily - Daily.co event receiver (HMAC signed)
+router.post('/daily',
+  rawBody,
+  async (req, res, next) => {
+    try {
+      const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch {
+        return res.status(400).json({ error: 'Invalid JSON body' });
+      }
+
+      // Daily pings the endpoint unsigned when the webhook is registered
+      if (event.test) {
+        return res.json({ received: true });
+      }
+
+      const verified = webhookService.verifySignature(
+        body,
+        req.get('x-webhook-timestamp'),
+        req.get('x-webhook-signature')
+      );
+
+      if (!verified) {
+        logger.warn(`Rejected Daily webhook with invalid signature from ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+
+      if (!event.id || !event.type) {
+        return res.status(400).json({ error: 'Event id and type are required' });
+      }
+
+      const result = await webhookService.processEvent(event);
+
+      res.json({ received: true, result });
+
+    } catch (error) {
+      logger.error('Failed to process Daily webhook:', error);
+      next(error);
+    }
+  }
+);
+
+export default router;
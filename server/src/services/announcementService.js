@@ -0,0 +1,124 @@
+import { Announcement, Room, User } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+const INCLUDES = [
+  { model: Room, as: 'room', attributes: ['id', 'name', 'displayName'] },
+  { model: User, as: 'author', attributes: ['id', 'name'], paranoid: false }
+];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export function toPayload(announcement) {
+  return {
+    announcementId: announcement.id,
+    jamaahGroup: announcement.jamaahGroup,
+    roomId: announcement.room?.name || null,
+    message: announcement.message,
+    pinned: announcement.pinned,
+    from: announcement.author?.name,
+    sentAt: announcement.sentAt
+  };
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+// room: target room or null for the whole group. Without scheduledAt the
+// announcement is due right away (the caller delivers it).
+export async function createAnnouncement({ jamaahGroup, room = null, message, pinned = false, scheduledAt = null, author }) {
+  const announcement = await Announcement.create({
+    jamaahGroup,
+    roomId: room?.id || null,
+    message,
+    pinned,
+    scheduledAt: scheduledAt || new Date(),
+    createdBy: author.id
+  });
+
+  logger.info(`Announcement ${announcement.id} for ${room ? room.name : jamaahGroup} ` +
+    `scheduled at ${announcement.scheduledAt.toISOString()} by ${author.name}`);
+
+  return await getAnnouncement(announcement.id);
+}
+
+export async function getAnnouncement(id, where = {}) {
+  return await Announcement.findOne({
+    where: { id, ...where },
+    include: INCLUDES
+  });
+}
+
+export async function listAnnouncements(where) {
+  return await Announcement.findAll({
+    where,
+    include: INCLUDES,
+    order: [['scheduledAt', 'DESC']],
+    limit: 200
+  });
+}
+
+export async function cancelAnnouncement(announcement, actor) {
+  if (announcement.status !== 'scheduled') {
+    throw httpError(`Announcement is already ${announcement.status}`, 409);
+  }
+
+  // Lose the race with the delivery job gracefully
+  const [updated] = await Announcement.update(
+    { status: 'canceled', canceledBy: actor.id },
+    { where: { id: announcement.id, status: 'scheduled' } }
+  );
+  if (!updated) {
+    throw httpError('Announcement was just sent', 409);
+  }
+
+  return await announcement.reload();
+}
+
+export async function unpinAnnouncement(announcement) {
+  if (!announcement.pinned) {
+    throw httpError('Announcement is not pinned', 409);
+  }
+
+  return await announcement.update({ pinned: false });
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+// Marks due announcements as sent and returns the ones this caller claimed
+export async function claimDue(now = new Date()) {
+  const { Op } = Announcement.sequelize.Sequelize;
+
+  const due = await Announcement.findAll({
+    where: { status: 'scheduled', scheduledAt: { [Op.lte]: now } },
+    include: INCLUDES,
+    order: [['scheduledAt', 'ASC']]
+  });
+
+  const claimed = [];
+  for (const announcement of due) {
+    const [updated] = await Announcement.update(
+      { status: 'sent', sentAt: now },
+      { where: { id: announcement.id, status: 'scheduled' } }
+    );
+    if (updated) {
+      announcement.status = 'sent';
+      announcement.sentAt = now;
+      claimed.push(announcement);
+    }
+  }
+
+  return claimed;
+}
+
+// Pinned announcement for room state, null if none
+export async function getPinned(room) {
+  const announcement = await Announcement.findPinned(room, { include: INCLUDES });
+  return announcement ? toPayload(announcement) : null;
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import logger from '../utils/logger.js';
+import { redisClient } from '../config/redis.js';
+import { invalidateCachedTokens } from './dailyService.js';
+
+// Revocation markers outlive the longest token we issue
+const REVOCATION_TTL = 30 * 24 * 60 * 60; // 30 days
+
+// ============================================
+// JWT
+// ============================================
+
+export function generateAuthToken(user) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      jamaah: user.jamaah,
+      // iat only has whole seconds; revocation needs finer to tell a token
+      // issued right after a password reset from one issued before it
+      issuedAtMs: Date.now()
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      jwtid: crypto.randomUUID()
+    }
+  );
+}
+
+export function verifyToken(token) {
+  return jwt.verify(token, process.env.JWT_SECRET);
+}
+
+// ============================================
+// REVOCATION
+// ============================================
+
+// Revoke a single token (logout)
+export async function revokeToken(decoded) {
+  if (!decoded?.jti) return;
+
+  const ttl = decoded.exp
+    ? Math.max(decoded.exp - Math.floor(Date.now() / 1000), 1)
+    : REVOCATION_TTL;
+
+  await redisClient.setEx(`auth:revoked:${decoded.jti}`, ttl, '1');
+}
+
+// Revoke every token issued to a user up to now (password reset, suspension)
+export async function revokeUserTokens(userId) {
+  await redisClient.setEx(`auth:revoked-after:${userId}`, REVOCATION_TTL, String(Date.now()));
+  logger.info(`All tokens revoked for user ${userId}`);
+}
+
+// Cut a user off entirely: API/socket JWTs and cached Daily meeting tokens
+export async function revokeUserAccess(userId) {
+  await revokeUserTokens(userId);
+  await invalidateCachedTokens(userId);
+}
+
+export async function isTokenRevoked(decoded) {
+  if (decoded.jti && await redisClient.exists(`auth:revoked:${decoded.jti}`)) {
+    return true;
+  }
+
+  // Milliseconds; tokens without issuedAtMs count from the start of their second
+  const revokedAfter = await redisClient.get(`auth:revoked-after:${decoded.userId}`);
+  const issuedAt = decoded.issuedAtMs ?? decoded.iat * 1000;
+  return Boolean(revokedAfter) && issuedAt < parseInt(revokedAfter);
+}
+
+// ============================================
+// ONE-TIME TOKENS (email verification, password reset)
+// ============================================
+
+export function generateOneTimeToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Only the hash is stored, the raw token goes out by email
+export function hashOneTimeToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
@@ -0,0 +1,153 @@
+import validator from 'validator';
+import { redisClient } from '../config/redis.js';
+import { ChatMessage, User } from '../models/index.js';
+import { MAX_CHAT_LENGTH } from '../models/ChatMessage.js';
+import * as sessionService from './sessionService.js';
+import logger from '../utils/logger.js';
+
+export const HISTORY_PAGE_SIZE = 50;
+
+// Flood limit: at most FLOOD_MAX_MESSAGES per user per FLOOD_WINDOW_SECONDS
+const FLOOD_MAX_MESSAGES = parseInt(process.env.CHAT_FLOOD_MAX_MESSAGES) || 5;
+const FLOOD_WINDOW_SECONDS = parseInt(process.env.CHAT_FLOOD_WINDOW_SECONDS) || 10;
+
+//   chat:flood:{roomName}:{userId}   counter - messages sent in the window
+const floodKey = (roomName, userId) => `chat:flood:${roomName}:${userId}`;
+
+const SENDER = { model: User, as: 'sender', attributes: ['id', 'name', 'role'], paranoid: false };
+
+function httpError(message, statusCode, extra = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+}
+
+export function toPayload(message) {
+  return {
+    messageId: message.id,
+    roomId: message.room?.name,
+    userId: message.userId,
+    userName: message.sender?.name,
+    userRole: message.sender?.role,
+    text: message.body,
+    timestamp: message.createdAt
+  };
+}
+
+// Throws 429 (with retryAfter seconds) once the user exceeds the limit
+async function checkFlood(roomName, userId) {
+  const key = floodKey(roomName, userId);
+  const count = await redisClient.incr(key);
+
+  if (count === 1) {
+    await redisClient.expire(key, FLOOD_WINDOW_SECONDS);
+  }
+
+  if (count > FLOOD_MAX_MESSAGES) {
+    const ttl = await redisClient.ttl(key);
+    throw httpError('You are sending messages too fast', 429, {
+      retryAfter: ttl > 0 ? ttl : FLOOD_WINDOW_SECONDS
+    });
+  }
+}
+
+// ============================================
+// MESSAGES
+// ============================================
+
+// sender: { id, name, role }
+export async function sendMessage(room, sender, text) {
+  if (!room.enableChat) {
+    throw httpError('Chat is disabled in this room', 403);
+  }
+
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (!body) {
+    throw httpError('Message is empty', 400);
+  }
+  if (body.length > MAX_CHAT_LENGTH) {
+    throw httpError(`Message is longer than ${MAX_CHAT_LENGTH} characters`, 400);
+  }
+
+  await checkFlood(room.name, sender.id);
+
+  const message = await ChatMessage.create({
+    roomId: room.id,
+    sessionId: await sessionService.getOpenSessionId(room.name),
+    userId: sender.id,
+    body
+  });
+
+  message.room = room;
+  message.sender = { id: sender.id, name: sender.name, role: sender.role };
+  return message;
+}
+
+// Newest page first; pass the id of the oldest message you have as `before`
+// to page back. Pages are cut on (createdAt, id) so messages sharing a
+// timestamp are neither skipped nor repeated. Messages are returned oldest
+// first.
+export async function getHistory(room, { before = null, limit = HISTORY_PAGE_SIZE } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || HISTORY_PAGE_SIZE, 1), HISTORY_PAGE_SIZE);
+  const { Op } = ChatMessage.sequelize.Sequelize;
+
+  const where = { roomId: room.id };
+
+  if (before) {
+    if (!validator.isUUID(String(before))) {
+      throw httpError('Invalid message ID', 400);
+    }
+
+    // The cursor may have been deleted since it was shown
+    const cursor = await ChatMessage.findOne({
+      where: { id: before, roomId: room.id },
+      attributes: ['id', 'createdAt'],
+      paranoid: false
+    });
+    if (!cursor) {
+      throw httpError('Message not found', 404);
+    }
+
+    where[Op.or] = [
+      { createdAt: { [Op.lt]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { [Op.lt]: cursor.id } }
+    ];
+  }
+
+  const rows = await ChatMessage.findAll({
+    where,
+    include: [SENDER],
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit: pageSize + 1
+  });
+
+  const hasMore = rows.length > pageSize;
+  const messages = rows.slice(0, pageSize).reverse().map(message => {
+    message.room = room;
+    return toPayload(message);
+  });
+
+  return { messages, hasMore };
+}
+
+// Admin removal; returns the deleted message
+export async function deleteMessage(room, messageId, actor) {
+  if (!validator.isUUID(String(messageId ?? ''))) {
+    throw httpError('Invalid message ID', 400);
+  }
+
+  const message = await ChatMessage.findOne({
+    where: { id: messageId, roomId: room.id }
+  });
+
+  if (!message) {
+    throw httpError('Message not found', 404);
+  }
+
+  await message.update({ deletedBy: actor.id });
+  await message.destroy();
+
+  logger.info(`Chat message ${message.id} in ${room.name} deleted by ${actor.name}`);
+  return message;
+}
@@ -44,10 +44,19 @@ dailyAPI.interceptors.response.use(
 // TOKEN GENERATION (WITH CACHING)
 // ============================================
 
-export async function generateMeetingToken(roomName, userId, userRole) {
+// listenOnly: the room is in broadcast mode and the user may not publish
+// audio until an admin grants the mic (see updateParticipantPermissions)
+// allowRecording: Room.enableRecording - owners may only record if set
+// expiresAt: end of the scheduled session window; the token expires by then
+// and Daily ejects the participant
+export async function generateMeetingToken(roomName, userId, userRole, { listenOnly = false, allowRecording = true, expiresAt = null } = {}) {
   try {
+    const windowEnd = expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : null;
+
     // Check cache first (tokens valid for 1 hour)
-    const cacheKey = `token:${roomName}:${userId}:${userRole}`;
+    const variant = `${listenOnly ? 'listen' : 'speak'}-${allowRecording ? 'rec' : 'norec'}` +
+      (windowEnd ? `-until${windowEnd}` : '');
+    const cacheKey = `token:${roomName}:${userId}:${userRole}:${variant}`;
     const cachedToken = await redisClient.get(cacheKey);
 
     if (cachedToken) {
@@ -56,8 +65,9 @@ export async function generateMeetingToken(roomName, userId, userRole) {
     }
 
     // Generate new token
-    const isOwner = userRole === 'admin';
-    const expirationTime = Math.floor(Date.now() / 1000) + 3600; // 1 hour
+    const isOwner = userRole === 'admin' || userRole === 'superadmin';
+    const now = Math.floor(Date.now() / 1000);
+    const expirationTime = Math.min(now + 3600, windowEnd || Infinity); // 1 hour at most
 
     const response = await dailyAPI.post('/meeting-tokens', {
       properties: {
@@ -66,12 +76,16 @@ export async function generateMeetingToken(roomName, userId, userRole) {
         is_owner: isOwner,
         enable_recording: false,
         start_video_off: true,
-        start_audio_off: false,
+        start_audio_off: listenOnly,
         exp: expirationTime,
+        ...(windowEnd && { eject_at_token_exp: true }),
+        ...(listenOnly && !isOwner && {
+          permissions: { canSend: false }
+        }),
         // Permissions
         ...(isOwner ? {
           enable_prejoin_ui: false,
-          enable_recording: true,
+          enable_recording: allowRecording,
           enable_screenshare: true
         } : {
           enable_prejoin_ui: true,
@@ -83,10 +97,13 @@ export async function generateMeetingToken(roomName, userId, userRole) {
 
     const token = response.data.token;
 
-    // Cache token (expire in 50 minutes to be safe)
-    await redisClient.setEx(cacheKey, 3000, token);
+    // Cache token (expire in 50 minutes, or a minute before it does, to be safe)
+    const cacheTtl = Math.min(3000, expirationTime - now - 60);
+    if (cacheTtl > 0) {
+      await redisClient.setEx(cacheKey, cacheTtl, token);
+    }
 
-    logger.info(`Generated new token for user ${userId} (owner: ${isOwner})`);
+    logger.info(`Generated new token for user ${userId} (owner: ${isOwner}, listenOnly: ${listenOnly})`);
     
     return token;
 
@@ -96,36 +113,56 @@ export async function generateMeetingToken(roomName, userId, userRole) {
   }
 }
 
+// Drop cached meeting tokens so a user gets no further tokens from cache
+export async function invalidateCachedTokens(userId) {
+  try {
+    let count = 0;
+    for await (const key of redisClient.scanIterator({ MATCH: `token:*:${userId}:*` })) {
+      await redisClient.del(key);
+      count++;
+    }
+
+    logger.info(`Invalidated ${count} cached meeting token(s) for user ${userId}`);
+  } catch (error) {
+    logger.error('Failed to invalidate cached tokens:', error);
+    throw error;
+  }
+}
+
 // ============================================
 // ROOM MANAGEMENT
 // ============================================
 
+// config follows Room.prototype.getDailyConfig(): { privacy, properties }
+// The result has created: false when the room already existed on Daily.co
 export async function createRoom(roomName, config = {}) {
+  const { privacy = 'private', properties = {} } = config;
+
   try {
     const response = await dailyAPI.post('/rooms', {
       name: roomName,
-      privacy: 'private',
+      privacy,
       properties: {
         enable_chat: true,
         enable_screenshare: true,
         enable_knocking: false,
         start_video_off: true,
         start_audio_off: false,
-        max_participants: config.maxParticipants || 50,
+        max_participants: 50,
         enable_recording: 'cloud',
         exp: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60), // 30 days
-        ...config
+        ...properties
       }
     });
 
     logger.info(`Room created: ${roomName}`);
-    return response.data;
+    return { ...response.data, created: true };
 
   } catch (error) {
     // Room might already exist
     if (error.response?.status === 400) {
       logger.info(`Room ${roomName} already exists`);
-      return await getRoomInfo(roomName);
+      return { ...(await getRoomInfo(roomName)), created: false };
     }
     throw error;
   }
@@ -141,6 +178,17 @@ export async function getRoomInfo(roomName) {
   }
 }
 
+export async function updateRoom(roomName, properties) {
+  try {
+    const response = await dailyAPI.post(`/rooms/${roomName}`, { properties });
+    logger.info(`Room updated: ${roomName}`);
+    return response.data;
+  } catch (error) {
+    logger.error(`Failed to update room: ${roomName}`, error);
+    throw error;
+  }
+}
+
 export async function deleteRoom(roomName) {
   try {
     await dailyAPI.delete(`/rooms/${roomName}`);
@@ -154,8 +202,22 @@ export async function deleteRoom(roomName) {
 
 export async function listRooms() {
   try {
-    const response = await dailyAPI.get('/rooms');
-    return response.data.data;
+    // Daily.co pages at 100 rooms; walk every page
+    const rooms = [];
+    let startingAfter;
+
+    while (true) {
+      const response = await dailyAPI.get('/rooms', {
+        params: { limit: 100, ...(startingAfter && { starting_after: startingAfter }) }
+      });
+      const page = response.data.data;
+      rooms.push(...page);
+
+      if (page.length < 100) break;
+      startingAfter = page[page.length - 1].id;
+    }
+
+    return rooms;
   } catch (error) {
     logger.error('Failed to list rooms', error);
     throw error;
@@ -176,6 +238,19 @@ export async function getActiveMeetings() {
   }
 }
 
+// Ongoing meeting(s) of one room, with their participants
+export async function getOngoingMeetings(roomName) {
+  try {
+    const response = await dailyAPI.get('/meetings', {
+      params: { room: roomName, ongoing: true }
+    });
+    return response.data.data;
+  } catch (error) {
+    logger.error(`Failed to get ongoing meetings for ${roomName}`, error);
+    throw error;
+  }
+}
+
 export async function getMeetingInfo(meetingId) {
   try {
     const response = await dailyAPI.get(`/meetings/${meetingId}`);
@@ -186,6 +261,74 @@ export async function getMeetingInfo(meetingId) {
   }
 }
 
+// ============================================
+// RECORDINGS
+// ============================================
+
+export async function startRecording(roomName) {
+  try {
+    const response = await dailyAPI.post(`/rooms/${roomName}/recordings/start`, {
+      type: 'cloud'
+    });
+    logger.info(`Recording started in ${roomName}`);
+    return response.data;
+  } catch (error) {
+    logger.error(`Failed to start recording in ${roomName}`, error);
+    throw error;
+  }
+}
+
+export async function stopRecording(roomName) {
+  try {
+    const response = await dailyAPI.post(`/rooms/${roomName}/recordings/stop`);
+    logger.info(`Recording stopped in ${roomName}`);
+    return response.data;
+  } catch (error) {
+    logger.error(`Failed to stop recording in ${roomName}`, error);
+    throw error;
+  }
+}
+
+// All recordings of a room (paginated like listRooms)
+export async function listRecordings(roomName) {
+  try {
+    const recordings = [];
+    let startingAfter = null;
+
+    while (true) {
+      const response = await dailyAPI.get('/recordings', {
+        params: {
+          room_name: roomName,
+          limit: 100,
+          ...(startingAfter && { starting_after: startingAfter })
+        }
+      });
+
+      const page = response.data.data;
+      recordings.push(...page);
+
+      if (page.length < 100) break;
+      startingAfter = page[page.length - 1].id;
+    }
+
+    return recordings;
+  } catch (error) {
+    logger.error(`Failed to list recordings for ${roomName}`, error);
+    throw error;
+  }
+}
+
+// Short-lived URL to download or stream the file
+export async function getRecordingAccessLink(recordingId) {
+  try {
+    const response = await dailyAPI.get(`/recordings/${recordingId}/access-link`);
+    return response.data;
+  } catch (error) {
+    logger.error(`Failed to get access link for recording ${recordingId}`, error);
+    throw error;
+  }
+}
+
 // ============================================
 // PARTICIPANT MANAGEMENT
 // ============================================
@@ -200,3 +343,57 @@ export async function ejectParticipant(meetingId, participantId) {
     throw error;
   }
 }
+
+// Eject every Daily participant of the user from the room's ongoing call.
+// Meeting tokens carry the userId as user_name (see generateMeetingToken).
+export async function ejectUser(roomName, userId) {
+  let ejected = 0;
+
+  for (const meeting of await getOngoingMeetings(roomName)) {
+    const participants = (meeting.participants || [])
+      .filter(participant => participant.user_name === userId);
+
+    for (const participant of participants) {
+      try {
+        await ejectParticipant(meeting.id, participant.participant_id);
+        ejected++;
+      } catch (error) {
+        // Already gone from the call
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+  }
+
+  return ejected;
+}
+
+// Daily session ids per user in the room's ongoing call: Map userId -> [sessionId].
+// Meeting tokens carry the userId as user_name (see generateMeetingToken).
+export async function getSessionIdsByUser(roomName) {
+  const sessions = new Map();
+
+  for (const meeting of await getOngoingMeetings(roomName)) {
+    for (const participant of meeting.participants || []) {
+      const ids = sessions.get(participant.user_name) || [];
+      ids.push(participant.participant_id);
+      sessions.set(participant.user_name, ids);
+    }
+  }
+
+  return sessions;
+}
+
+// Change what participants already in the call may send.
+// permissionsBySession: { [sessionId]: { canSend: false | true | ['audio'] } }
+export async function updateParticipantPermissions(roomName, permissionsBySession) {
+  try {
+    const response = await dailyAPI.post(`/rooms/${roomName}/update-permissions`, {
+      data: permissionsBySession
+    });
+    logger.info(`Updated permissions of ${Object.keys(permissionsBySession).length} participant(s) in ${roomName}`);
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to update participant permissions', error);
+    throw error;
+  }
+}
@@ -0,0 +1,109 @@
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// ============================================
+// TRANSPORTS
+// ============================================
+//
+// Picked with MAIL_TRANSPORT: 'smtp' sends through SMTP_*, 'log' (default)
+// only logs recipient and subject for local development. Messages carry
+// one-time tokens, so their body is never logged.
+
+// A transport is an object with: async send({ to, subject, text })
+
+const logTransport = {
+  async send({ to, subject }) {
+    logger.info(`[mail:log] to ${to}: ${subject} (not sent, MAIL_TRANSPORT=log)`);
+  }
+};
+
+let smtp = null;
+
+const smtpTransport = {
+  async send({ to, subject, text }) {
+    smtp = smtp || nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+
+    await smtp.sendMail({ from: process.env.MAIL_FROM, to, subject, text });
+  }
+};
+
+const transports = new Map([
+  ['log', logTransport],
+  ['smtp', smtpTransport]
+]);
+
+const transportName = () => process.env.MAIL_TRANSPORT || 'log';
+
+function getTransport() {
+  const transport = transports.get(transportName());
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName()}`);
+  }
+
+  return transport;
+}
+
+// Called once at startup: production without a real transport means
+// verification, reset and invite emails never arrive
+export function checkMailConfig() {
+  if (process.env.NODE_ENV === 'production' && transportName() === 'log') {
+    logger.warn('MAIL_TRANSPORT is not set to smtp, emails will not be delivered');
+  }
+}
+
+// ============================================
+// OUTGOING EMAIL
+// ============================================
+
+// A failed delivery is logged, not thrown: the account change that
+// triggered it already happened. Returns true when the message went out.
+async function sendEmail({ to, subject, text }) {
+  try {
+    await getTransport().send({ to, subject, text });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send email "${subject}" to ${to}:`, error.message);
+    return false;
+  }
+}
+
+export async function sendVerificationEmail(user, token) {
+  return await sendEmail({
+    to: user.email,
+    subject: 'Verifikasi email Anda',
+    text: `Assalamu'alaikum ${user.name},\n\n` +
+      `Silakan verifikasi email Anda melalui link berikut:\n` +
+      `${APP_URL}/api/v1/auth/verify-email/${token}`
+  });
+}
+
+export async function sendPasswordResetEmail(user, token) {
+  return await sendEmail({
+    to: user.email,
+    subject: 'Reset password',
+    text: `Assalamu'alaikum ${user.name},\n\n` +
+      `Gunakan token berikut untuk reset password (berlaku 1 jam):\n${token}`
+  });
+}
+
+// Account created by an admin (e.g. manifest import): the jamaah picks a
+// password through the reset-password endpoint
+export async function sendInviteEmail(user, token, validDays) {
+  return await sendEmail({
+    to: user.email,
+    subject: 'Akun jamaah Anda telah dibuat',
+    text: `Assalamu'alaikum ${user.name},\n\n` +
+      `Akun Anda untuk grup ${user.jamaah} telah dibuat. ` +
+      `Gunakan token berikut untuk membuat password (berlaku ${validDays} hari):\n${token}`
+  });
+}
@@ -0,0 +1,214 @@
+import { Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { Emergency, EmergencyAction, User } from '../models/index.js';
+import { canAccessGroup } from '../middleware/auth.js';
+import * as notifierService from './notifierService.js';
+import logger from '../utils/logger.js';
+
+// Sender and assignee, needed by toPayload()
+const PEOPLE = [
+  { model: User, as: 'sender', attributes: ['id', 'name', 'no_handphone', 'jamaah'], paranoid: false },
+  { model: User, as: 'assignee', attributes: ['id', 'name'], paranoid: false }
+];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// ============================================
+// CREATE
+// ============================================
+
+// sender: { id, jamaah }; location: { latitude, longitude, accuracy }
+export async function createEmergency({ sender, roomName, location, message, via = 'socket' }) {
+  const emergency = await sequelize.transaction(async (transaction) => {
+    const created = await Emergency.create({
+      userId: sender.id,
+      jamaahGroup: sender.jamaah,
+      roomName: roomName || null,
+      message: message || null,
+      latitude: location?.latitude ?? null,
+      longitude: location?.longitude ?? null,
+      accuracy: location?.accuracy ?? null,
+      locationUpdatedAt: location ? new Date() : null
+    }, { transaction });
+
+    await EmergencyAction.create({
+      emergencyId: created.id,
+      actorId: sender.id,
+      action: 'created',
+      toStatus: 'open',
+      note: message || null,
+      via
+    }, { transaction });
+
+    return created;
+  });
+
+  logger.warn(`Emergency ${emergency.id} opened by user ${sender.id} (${sender.jamaah})`);
+  return await emergency.reload({ include: PEOPLE });
+}
+
+// ============================================
+// STATUS WORKFLOW
+// ============================================
+
+// actor: { id, role, jamaah } - must be an admin of the emergency's group
+export async function updateStatus(emergencyId, actor, status, { note, via = 'rest' } = {}) {
+  const emergency = await Emergency.findByPk(emergencyId);
+
+  if (!emergency || !canAccessGroup(actor, emergency.jamaahGroup)) {
+    throw httpError('Emergency not found', 404);
+  }
+
+  if (!emergency.canTransitionTo(status)) {
+    throw httpError(`Cannot change emergency from ${emergency.status} to ${status}`, 409);
+  }
+
+  const fromStatus = emergency.status;
+  const now = new Date();
+
+  await sequelize.transaction(async (transaction) => {
+    emergency.status = status;
+
+    if (status === 'acknowledged' || status === 'en-route') {
+      emergency.assignedTo = emergency.assignedTo || actor.id;
+      emergency.acknowledgedAt = emergency.acknowledgedAt || now;
+    }
+
+    if (status === 'en-route') {
+      emergency.assignedTo = actor.id;
+    }
+
+    if (status === 'resolved') {
+      emergency.resolvedAt = now;
+      emergency.resolutionNote = note || null;
+    }
+
+    await emergency.save({ transaction });
+
+    await EmergencyAction.create({
+      emergencyId: emergency.id,
+      actorId: actor.id,
+      action: status,
+      fromStatus,
+      toStatus: status,
+      note: note || null,
+      via
+    }, { transaction });
+  });
+
+  logger.info(`Emergency ${emergency.id}: ${fromStatus} -> ${status} by ${actor.id} (${via})`);
+  return await emergency.reload({ include: PEOPLE });
+}
+
+// ============================================
+// ESCALATION
+// ============================================
+
+function escalationText(emergency) {
+  const location = emergency.getLocation();
+  const sender = emergency.sender;
+
+  return [
+    `DARURAT: ${sender?.name || 'Jamaah'} (${sender?.no_handphone || '-'}), jamaah ${emergency.jamaahGroup}`,
+    emergency.message,
+    location && `Lokasi: https://maps.google.com/?q=${location.latitude},${location.longitude}`,
+    'Belum ada admin yang merespon.'
+  ].filter(Boolean).join('\n');
+}
+
+// Page every admin of the sender's group, and every super-admin, by
+// SMS/WhatsApp. Failed deliveries are logged; the incident is marked
+// escalated either way so admins are not paged again on every run.
+export async function escalateEmergency(emergency) {
+  const admins = await User.getAdminsForGroup(emergency.jamaahGroup);
+  const text = escalationText(emergency);
+
+  let delivered = 0;
+  for (const admin of admins) {
+    try {
+      await notifierService.sendMessage({ to: admin.no_handphone, text });
+      delivered++;
+    } catch (error) {
+      logger.error(`Escalation of emergency ${emergency.id} to admin ${admin.id} failed`);
+    }
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await emergency.update({ escalatedAt: new Date() }, { transaction });
+
+    await EmergencyAction.create({
+      emergencyId: emergency.id,
+      action: 'escalated',
+      note: `Notified ${delivered} of ${admins.length} admins`,
+      via: 'system'
+    }, { transaction });
+  });
+
+  logger.warn(`Emergency ${emergency.id} escalated to ${delivered}/${admins.length} admins`);
+  return { delivered, total: admins.length };
+}
+
+// Open incidents nobody acknowledged within windowMs, not yet escalated
+export async function findUnacknowledged(windowMs) {
+  return await Emergency.findAll({
+    where: {
+      status: 'open',
+      escalatedAt: null,
+      createdAt: { [Op.lt]: new Date(Date.now() - windowMs) }
+    },
+    include: PEOPLE
+  });
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+export async function getEmergency(emergencyId, actor) {
+  const emergency = await Emergency.findByPk(emergencyId, {
+    include: [
+      ...PEOPLE,
+      {
+        model: EmergencyAction,
+        as: 'actions',
+        include: [{ model: User, as: 'actor', attributes: ['id', 'name'], paranoid: false }]
+      }
+    ],
+    order: [[{ model: EmergencyAction, as: 'actions' }, 'createdAt', 'ASC']]
+  });
+
+  if (!emergency || !canAccessGroup(actor, emergency.jamaahGroup)) {
+    throw httpError('Emergency not found', 404);
+  }
+
+  return emergency;
+}
+
+export async function listUnresolved(where = {}) {
+  return await Emergency.findUnresolved(where, { include: PEOPLE });
+}
+
+// Shape sent over the socket and in dashboard listings
+export function toPayload(emergency) {
+  return {
+    emergencyId: emergency.id,
+    userId: emergency.userId,
+    userName: emergency.sender?.name,
+    no_handphone: emergency.sender?.no_handphone,
+    jamaahGroup: emergency.jamaahGroup,
+    roomId: emergency.roomName,
+    message: emergency.message,
+    status: emergency.status,
+    location: emergency.getLocation(),
+    assignedTo: emergency.assignedTo,
+    assigneeName: emergency.assignee?.name,
+    acknowledgedAt: emergency.acknowledgedAt,
+    escalatedAt: emergency.escalatedAt,
+    resolvedAt: emergency.resolvedAt,
+    timestamp: emergency.createdAt
+  };
+}
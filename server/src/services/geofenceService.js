@@ -0,0 +1,65 @@
+import { redisClient } from '../config/redis.js';
+import { Geofence, Room } from '../models/index.js';
+import { isAdminRole } from '../middleware/auth.js';
+import { LOCATION_TTL } from './locationService.js';
+
+// Last inside/outside state per fence, so only transitions are reported
+//   geofence:state:{userId}    hash  - geofenceId -> 'in' | 'out'
+const stateKey = (userId) => `geofence:state:${userId}`;
+
+// ============================================
+// EVALUATION
+// ============================================
+
+// Checks a location update (see locationService.updateLocation) against the
+// fences of the jamaah's group and current room. Returns the transitions
+// that should alert admins: [{ geofence, transition: 'enter' | 'exit' }]
+export async function evaluateLocation(location, roomName = null) {
+  if (isAdminRole(location.userRole)) return [];
+
+  const room = roomName ? await Room.findByName(roomName) : null;
+  const geofences = await Geofence.findApplicable(location.jamaahGroup, room?.id);
+  if (geofences.length === 0) return [];
+
+  const key = stateKey(location.userId);
+  const alerts = [];
+
+  for (const geofence of geofences) {
+    const inside = geofence.contains(location);
+    const previous = await redisClient.hGet(key, geofence.id);
+    await redisClient.hSet(key, geofence.id, inside ? 'in' : 'out');
+
+    let transition = null;
+    if (!previous) {
+      // First reading: only being outside is worth reporting
+      if (!inside) transition = 'exit';
+    } else if ((previous === 'in') !== inside) {
+      transition = inside ? 'enter' : 'exit';
+    }
+
+    if (transition && geofence.alertsOn(transition)) {
+      alerts.push({ geofence, transition });
+    }
+  }
+
+  await redisClient.expire(key, LOCATION_TTL);
+  return alerts;
+}
+
+export function toAlertPayload(location, { geofence, transition }) {
+  return {
+    type: transition,
+    userId: location.userId,
+    userName: location.userName,
+    jamaahGroup: location.jamaahGroup,
+    location,
+    message: `${location.userName} ${transition === 'exit' ? 'left' : 'entered'} ${geofence.name}`,
+    geofence: {
+      id: geofence.id,
+      name: geofence.name,
+      shape: geofence.shape,
+      roomId: geofence.roomId
+    },
+    timestamp: new Date()
+  };
+}
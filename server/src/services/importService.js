@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import validator from 'validator';
+import { sequelize } from '../config/database.js';
+import { User } from '../models/index.js';
+import { canAccessGroup } from '../middleware/auth.js';
+import * as authService from './authService.js';
+import * as emailService from './emailService.js';
+import logger from '../utils/logger.js';
+
+export const MAX_IMPORT_ROWS = 2000;
+const INVITE_VALID_DAYS = 7;
+
+// Manifest column -> User attribute. Headers are matched case-insensitively
+// with spaces, dots and dashes treated as underscores.
+const COLUMNS = {
+  name: ['name', 'nama', 'nama_lengkap'],
+  email: ['email', 'e_mail'],
+  no_ktp: ['no_ktp', 'ktp', 'nik'],
+  no_handphone: ['no_handphone', 'no_hp', 'hp', 'phone', 'telepon'],
+  alamat: ['alamat', 'address']
+};
+
+const normalizeHeader = (header) =>
+  String(header ?? '').trim().toLowerCase().replace(/[\s.\-]+/g, '_');
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+// header row -> { attribute: columnIndex }; throws when a column is missing
+function mapColumns(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  const missing = [];
+
+  for (const [attribute, aliases] of Object.entries(COLUMNS)) {
+    const index = normalized.findIndex(header => aliases.includes(header));
+    if (index === -1) {
+      missing.push(attribute);
+    } else {
+      columns[attribute] = index;
+    }
+  }
+
+  if (missing.length > 0) {
+    throw httpError(`Manifest is missing columns: ${missing.join(', ')}`, 400);
+  }
+
+  return columns;
+}
+
+// Spreadsheets often store KTP numbers as numbers; above 2^53 the last
+// digits are already lost, so those rows are rejected instead of guessed
+function cellValue(cell) {
+  const { value } = cell;
+
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value) ? { text: String(value) } : { text: cell.text, imprecise: true };
+  }
+
+  return { text: cell.text };
+}
+
+// Returns [{ line, values, errors }] with line numbers as seen in the file
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw httpError('Workbook has no sheets', 400);
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col - 1] = cell.text;
+  });
+  const columns = mapColumns(headers);
+
+  const rows = [];
+  sheet.eachRow((row, line) => {
+    if (line === 1) return;
+
+    const values = {};
+    const errors = [];
+
+    for (const [attribute, index] of Object.entries(columns)) {
+      const { text, imprecise } = cellValue(row.getCell(index + 1));
+      values[attribute] = text;
+      if (imprecise) {
+        errors.push({ path: attribute, msg: 'Stored as a number and lost digits; format the column as text' });
+      }
+    }
+
+    rows.push({ line, values, errors });
+  });
+
+  return rows;
+}
+
+function parseCsv(buffer) {
+  const records = parse(buffer, {
+    bom: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    delimiter: [',', ';']
+  });
+
+  if (records.length === 0) return [];
+
+  const columns = mapColumns(records[0]);
+
+  return records.slice(1).map((record, i) => {
+    const values = {};
+    for (const [attribute, index] of Object.entries(columns)) {
+      values[attribute] = record[index] ?? '';
+    }
+    return { line: i + 2, values, errors: [] };
+  });
+}
+
+export async function parseManifest(file) {
+  const isXlsx = /\.xlsx$/i.test(file.originalname) ||
+    file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+  try {
+    return isXlsx ? await parseXlsx(file.buffer) : parseCsv(file.buffer);
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw httpError(`Could not read manifest: ${error.message}`, 400);
+  }
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+// Emails are normalized like the auth and user routes do (normalizeEmail()
+// with its defaults), so imported users can log in with what they typed.
+// An invalid address is left as is for the model validation to report.
+function cleanEmail(value) {
+  const email = String(value || '').trim();
+  return (validator.isEmail(email) && validator.normalizeEmail(email)) || email.toLowerCase();
+}
+
+function clean(values) {
+  return {
+    name: String(values.name || '').trim(),
+    email: cleanEmail(values.email),
+    no_ktp: String(values.no_ktp || '').replace(/\s+/g, ''),
+    no_handphone: String(values.no_handphone || '').trim(),
+    alamat: String(values.alamat || '').trim()
+  };
+}
+
+// Model validation (no_ktp 16 digits, phone format, email...) as a list of
+// { path, msg }
+async function validateInstance(user) {
+  try {
+    await user.validate();
+    return [];
+  } catch (error) {
+    if (error.name !== 'SequelizeValidationError') throw error;
+    return error.errors.map(e => ({ path: e.path, msg: e.message }));
+  }
+}
+
+// Checks every row and, unless dryRun, creates or updates the valid ones
+// (matched by no_ktp). Rows with errors are reported and skipped.
+// credentials: 'password' returns a generated initial password per new
+// user, 'invite' emails a token to set one via /auth/reset-password.
+export async function importManifest(rows, { jamaahGroup, actor, dryRun = true, credentials = 'password' }) {
+  if (rows.length === 0) {
+    throw httpError('Manifest has no rows', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw httpError(`Manifest has more than ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+
+  const entries = rows.map(row => ({ ...row, attributes: clean(row.values), errors: [...row.errors] }));
+
+  // Duplicates inside the file
+  const seen = { no_ktp: new Map(), email: new Map() };
+  for (const entry of entries) {
+    for (const field of ['no_ktp', 'email']) {
+      const value = entry.attributes[field];
+      if (!value) continue;
+
+      if (seen[field].has(value)) {
+        entry.errors.push({ path: field, msg: `Duplicate of line ${seen[field].get(value)}` });
+      } else {
+        seen[field].set(value, entry.line);
+      }
+    }
+  }
+
+  const existing = await User.findAll({
+    where: {
+      [Op.or]: [
+        { no_ktp: [...seen.no_ktp.keys()] },
+        { email: [...seen.email.keys()] }
+      ]
+    },
+    paranoid: false
+  });
+  const byKtp = new Map(existing.map(user => [user.no_ktp, user]));
+  const byEmail = new Map(existing.map(user => [user.email, user]));
+
+  for (const entry of entries) {
+    const { attributes } = entry;
+    const user = byKtp.get(attributes.no_ktp);
+
+    if (user) {
+      if (user.deletedAt) {
+        entry.errors.push({ path: 'no_ktp', msg: 'Belongs to a deleted user, restore it first' });
+      } else if (user.role !== 'jamaah') {
+        entry.errors.push({ path: 'no_ktp', msg: 'Belongs to an admin account' });
+      } else if (user.jamaah !== jamaahGroup && !canAccessGroup(actor, user.jamaah)) {
+        entry.errors.push({ path: 'no_ktp', msg: 'Registered in another jamaah group' });
+      }
+    }
+
+    const emailOwner = byEmail.get(attributes.email);
+    if (emailOwner && emailOwner.id !== user?.id) {
+      entry.errors.push({ path: 'email', msg: 'Email already registered to another user' });
+    }
+
+    if (entry.errors.length > 0) {
+      entry.action = 'error';
+      continue;
+    }
+
+    // Group lives in the JWT; a moved jamaah has to log in again
+    entry.moved = Boolean(user) && user.jamaah !== jamaahGroup;
+
+    // Checked against the model rules; a placeholder password stands in
+    // for the one generated on import
+    entry.instance = user
+      ? user.set({ ...attributes, jamaah: jamaahGroup })
+      : User.build({ ...attributes, jamaah: jamaahGroup, role: 'jamaah', password: 'placeholder' });
+
+    entry.errors.push(...await validateInstance(entry.instance));
+
+    if (entry.errors.length > 0) {
+      entry.action = 'error';
+    } else if (!user) {
+      entry.action = 'create';
+    } else {
+      entry.action = entry.instance.changed() ? 'update' : 'unchanged';
+    }
+  }
+
+  const invites = [];
+
+  if (!dryRun) {
+    await sequelize.transaction(async (transaction) => {
+      for (const entry of entries) {
+        if (entry.action === 'update') {
+          await entry.instance.save({ transaction });
+        }
+
+        if (entry.action === 'create') {
+          if (credentials === 'invite') {
+            const token = authService.generateOneTimeToken();
+            entry.instance.password = crypto.randomBytes(32).toString('hex');
+            entry.instance.resetPasswordToken = authService.hashOneTimeToken(token);
+            entry.instance.resetPasswordExpires = new Date(Date.now() + INVITE_VALID_DAYS * 24 * 60 * 60 * 1000);
+            invites.push({ user: entry.instance, token });
+          } else {
+            entry.initialPassword = crypto.randomBytes(8).toString('base64url').slice(0, 10);
+            entry.instance.password = entry.initialPassword;
+          }
+
+          await entry.instance.save({ transaction });
+        }
+      }
+    });
+
+    // Only once the accounts exist
+    for (const { user, token } of invites) {
+      await emailService.sendInviteEmail(user, token, INVITE_VALID_DAYS);
+    }
+
+    for (const entry of entries.filter(e => e.action === 'update' && e.moved)) {
+      await authService.revokeUserAccess(entry.instance.id);
+    }
+
+    logger.info(`Manifest imported into ${jamaahGroup} by ${actor.name}: ` +
+      entries.filter(e => e.action === 'create').length + ' created, ' +
+      entries.filter(e => e.action === 'update').length + ' updated, ' +
+      entries.filter(e => e.action === 'error').length + ' failed');
+  }
+
+  const count = (action) => entries.filter(e => e.action === action).length;
+
+  return {
+    dryRun,
+    jamaahGroup,
+    total: entries.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: count('error'),
+    rows: entries.map(entry => ({
+      line: entry.line,
+      name: entry.attributes.name,
+      no_ktp: entry.attributes.no_ktp,
+      action: entry.action,
+      ...(entry.errors.length > 0 && { errors: entry.errors }),
+      ...(entry.initialPassword && { initialPassword: entry.initialPassword }),
+      ...(entry.action === 'create' && !dryRun && { userId: entry.instance.id })
+    }))
+  };
+}
@@ -0,0 +1,131 @@
+import { redisClient } from '../config/redis.js';
+import { isAdminRole } from '../middleware/auth.js';
+import { distanceMeters } from '../utils/geo.js';
+
+// ============================================
+// LIVE LOCATION (REDIS)
+// ============================================
+//
+// Jamaah opt in from the client; positions are only kept while updates
+// keep coming in.
+//
+//   location:{userId}          hash  - latitude, longitude, accuracy, user info
+//   locations:{jamaahGroup}    set   - userIds sharing in the group
+//   location:{userId}:away     flag  - separation alert already sent
+
+export const LOCATION_TTL = parseInt(process.env.LOCATION_TTL_SECONDS) || 10 * 60;
+
+// Distance from the nearest group leader (mutowif) that triggers an alert
+export const MAX_LEADER_DISTANCE = parseInt(process.env.LOCATION_MAX_DISTANCE_M) || 500;
+
+const locationKey = (userId) => `location:${userId}`;
+const groupKey = (jamaahGroup) => `locations:${jamaahGroup}`;
+const awayKey = (userId) => `location:${userId}:away`;
+
+function parseLocation(hash) {
+  if (!hash || Object.keys(hash).length === 0) return null;
+
+  return {
+    userId: hash.userId,
+    userName: hash.userName,
+    userRole: hash.userRole,
+    jamaahGroup: hash.jamaahGroup,
+    latitude: parseFloat(hash.latitude),
+    longitude: parseFloat(hash.longitude),
+    accuracy: hash.accuracy ? parseFloat(hash.accuracy) : null,
+    updatedAt: new Date(hash.updatedAt)
+  };
+}
+
+export function isValidPosition(position) {
+  const { latitude, longitude } = position || {};
+  return Number.isFinite(latitude) && Math.abs(latitude) <= 90 &&
+    Number.isFinite(longitude) && Math.abs(longitude) <= 180;
+}
+
+// ============================================
+// UPDATES
+// ============================================
+
+// user: { id, name, role, jamaah }
+export async function updateLocation(user, { latitude, longitude, accuracy }) {
+  const hash = {
+    userId: user.id,
+    userName: user.name,
+    userRole: user.role,
+    jamaahGroup: user.jamaah,
+    latitude: String(latitude),
+    longitude: String(longitude),
+    accuracy: Number.isFinite(accuracy) ? String(accuracy) : '',
+    updatedAt: new Date().toISOString()
+  };
+
+  await redisClient.hSet(locationKey(user.id), hash);
+  await redisClient.expire(locationKey(user.id), LOCATION_TTL);
+  await redisClient.sAdd(groupKey(user.jamaah), user.id);
+
+  return parseLocation(hash);
+}
+
+export async function stopSharing(userId, jamaahGroup) {
+  await redisClient.del([locationKey(userId), awayKey(userId)]);
+  await redisClient.sRem(groupKey(jamaahGroup), userId);
+}
+
+export async function getLocation(userId) {
+  return parseLocation(await redisClient.hGetAll(locationKey(userId)));
+}
+
+// Latest position of everyone sharing in the group
+export async function getGroupLocations(jamaahGroup) {
+  const locations = [];
+
+  for (const userId of await redisClient.sMembers(groupKey(jamaahGroup))) {
+    const location = await getLocation(userId);
+
+    // Expired - the user stopped sending updates
+    if (!location) {
+      await redisClient.sRem(groupKey(jamaahGroup), userId);
+      continue;
+    }
+
+    locations.push(location);
+  }
+
+  return locations;
+}
+
+// ============================================
+// SEPARATION CHECK
+// ============================================
+
+// Compares a jamaah's position with the nearest admin of the group who is
+// sharing location. Returns the change to report, if any:
+//   { type: 'separated' | 'returned', distance, leader }
+// Each separation is reported once, until the jamaah is back in range.
+export async function checkSeparation(location) {
+  if (isAdminRole(location.userRole)) return null;
+
+  const leaders = (await getGroupLocations(location.jamaahGroup))
+    .filter(other => isAdminRole(other.userRole));
+
+  if (leaders.length === 0) return null;
+
+  const nearest = leaders
+    .map(leader => ({ leader, distance: distanceMeters(location, leader) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  if (nearest.distance > MAX_LEADER_DISTANCE) {
+    const firstAlert = await redisClient.set(awayKey(location.userId), '1', {
+      NX: true,
+      EX: LOCATION_TTL
+    });
+    return firstAlert ? { type: 'separated', ...nearest } : null;
+  }
+
+  if (await redisClient.del(awayKey(location.userId))) {
+    return { type: 'returned', ...nearest };
+  }
+
+  return null;
+}
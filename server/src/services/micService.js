@@ -0,0 +1,210 @@
+import validator from 'validator';
+import { redisClient } from '../config/redis.js';
+import { isAdminRole } from '../middleware/auth.js';
+import { User } from '../models/index.js';
+import * as dailyService from './dailyService.js';
+import logger from '../utils/logger.js';
+
+// ============================================
+// MIC CONTROL
+// ============================================
+//
+// Who may speak is enforced through Daily participant permissions, so
+// muting does not depend on the client behaving. Admins are never muted.
+//
+// In broadcast rooms jamaah join with canSend: false (see
+// dailyService.generateMeetingToken) and an admin hands the mic to one
+// jamaah at a time. In any room admins can mute one jamaah or everyone.
+//
+//   room:{roomId}:speaker     string - socketId currently holding the mic
+//   room:{roomId}:hands       zset   - raised hands, scored by time raised
+//   room:{roomId}:muted       set    - userIds muted by an admin
+//   room:{roomId}:muted-all   flag   - everyone except admins is muted
+
+const speakerKey = (roomId) => `room:${roomId}:speaker`;
+const handsKey = (roomId) => `room:${roomId}:hands`;
+const mutedKey = (roomId) => `room:${roomId}:muted`;
+const mutedAllKey = (roomId) => `room:${roomId}:muted-all`;
+
+// Daily session ids come from the call itself, never from the client: a
+// user cannot dodge a mute by hiding or faking theirs. Returns false when
+// the user is not in the call.
+async function setCanSend(roomId, connection, canSend) {
+  const sessionIds = (await dailyService.getSessionIdsByUser(roomId)).get(connection.userId) || [];
+
+  if (sessionIds.length === 0) {
+    logger.warn(`User ${connection.userId} is not in the Daily call of ${roomId}, permissions unchanged`);
+    return false;
+  }
+
+  await dailyService.updateParticipantPermissions(roomId,
+    Object.fromEntries(sessionIds.map(sessionId => [sessionId, { canSend }])));
+  return true;
+}
+
+// canSend for a jamaah who is not muted and does not hold the mic
+const defaultCanSend = (room) => !room.isBroadcast();
+
+// Push getCanSend(userId) to everyone in the Daily call except admins,
+// including participants who never joined the room over the socket.
+// connections: the room's presence connections, whose roles are used as is;
+// only users in the call without one are looked up.
+async function setCanSendForAll(roomId, connections, getCanSend) {
+  const sessions = await dailyService.getSessionIdsByUser(roomId);
+  if (sessions.size === 0) return;
+
+  const roles = new Map(connections.map(conn => [conn.userId, conn.userRole]));
+
+  // Tokens carry user ids, but a user_name that is not one can't be an admin
+  const unknownIds = [...sessions.keys()].filter(userId => !roles.has(userId) && validator.isUUID(userId));
+  if (unknownIds.length > 0) {
+    const users = await User.findAll({ where: { id: unknownIds }, attributes: ['id', 'role'] });
+    for (const user of users) {
+      roles.set(user.id, user.role);
+    }
+  }
+
+  const permissions = {};
+  for (const [userId, sessionIds] of sessions) {
+    if (isAdminRole(roles.get(userId))) continue;
+
+    const canSend = await getCanSend(userId);
+    for (const sessionId of sessionIds) {
+      permissions[sessionId] = { canSend };
+    }
+  }
+
+  if (Object.keys(permissions).length > 0) {
+    await dailyService.updateParticipantPermissions(roomId, permissions);
+  }
+}
+
+export async function getSpeaker(roomId) {
+  return await redisClient.get(speakerKey(roomId));
+}
+
+// Returns { granted, previous }: granted is false when the user is not in
+// the call; previous is the socketId that held the mic before, if it was
+// someone else. The caller revokes it (it needs that socket's connection).
+export async function grantMic(roomId, connection) {
+  const previous = await getSpeaker(roomId);
+
+  if (!(await setCanSend(roomId, connection, ['audio']))) {
+    return { granted: false, previous: null };
+  }
+  await redisClient.set(speakerKey(roomId), connection.socketId);
+
+  return { granted: true, previous: previous && previous !== connection.socketId ? previous : null };
+}
+
+export async function revokeMic(roomId, connection) {
+  await setCanSend(roomId, connection, false);
+  await clearSpeaker(roomId, connection.socketId);
+}
+
+// Forget the speaker if it is this socket (e.g. it left the room).
+// Returns true when it was.
+export async function clearSpeaker(roomId, socketId) {
+  if (await getSpeaker(roomId) !== socketId) return false;
+
+  await redisClient.del(speakerKey(roomId));
+  return true;
+}
+
+// Room mode switched: apply it to everyone already in the call
+export async function applyRoomMode(room, connections) {
+  await redisClient.del(speakerKey(room.name));
+
+  await setCanSendForAll(room.name, connections, async (userId) =>
+    await isMuted(room.name, userId) ? false : defaultCanSend(room)
+  );
+}
+
+// ============================================
+// MUTE
+// ============================================
+
+export async function isMutedAll(roomId) {
+  return Boolean(await redisClient.exists(mutedAllKey(roomId)));
+}
+
+export async function isMuted(roomId, userId) {
+  return await isMutedAll(roomId) ||
+    Boolean(await redisClient.sIsMember(mutedKey(roomId), userId));
+}
+
+export async function muteParticipant(roomId, connection) {
+  await redisClient.sAdd(mutedKey(roomId), connection.userId);
+  await setCanSend(roomId, connection, false);
+  return await clearSpeaker(roomId, connection.socketId);
+}
+
+// Back to what the room mode allows (a muted-all room stays muted)
+export async function unmuteParticipant(room, connection) {
+  await redisClient.sRem(mutedKey(room.name), connection.userId);
+
+  if (await isMutedAll(room.name)) return false;
+
+  await setCanSend(room.name, connection, defaultCanSend(room));
+  return true;
+}
+
+// Everyone except admins; also applies to whoever joins later
+export async function muteAll(room, connections) {
+  await redisClient.set(mutedAllKey(room.name), '1');
+  await redisClient.del(speakerKey(room.name));
+
+  await setCanSendForAll(room.name, connections, () => false);
+}
+
+export async function unmuteAll(room, connections) {
+  await redisClient.del([mutedAllKey(room.name), mutedKey(room.name)]);
+
+  await setCanSendForAll(room.name, connections, () => defaultCanSend(room));
+}
+
+// A socket just joined the call: make sure a token issued before a mute
+// does not let it speak
+export async function enforceOnJoin(roomId, connection) {
+  if (isAdminRole(connection.userRole)) return false;
+  if (!(await isMuted(roomId, connection.userId))) return false;
+
+  await setCanSend(roomId, connection, false);
+  return true;
+}
+
+// ============================================
+// RAISE-HAND QUEUE
+// ============================================
+
+// Returns false if the hand was already up (keeps its place in line)
+export async function raiseHand(roomId, socketId) {
+  return Boolean(await redisClient.zAdd(handsKey(roomId), {
+    score: Date.now(),
+    value: socketId
+  }, { NX: true }));
+}
+
+// Returns true if the socket was in the queue
+export async function lowerHand(roomId, socketId) {
+  return Boolean(await redisClient.zRem(handsKey(roomId), socketId));
+}
+
+// Oldest first: [{ socketId, raisedAt }]
+export async function getHandQueue(roomId) {
+  const entries = await redisClient.zRangeWithScores(handsKey(roomId), 0, -1);
+  return entries.map(({ value, score }) => ({ socketId: value, raisedAt: new Date(score) }));
+}
+
+export async function clearHands(roomId) {
+  await redisClient.del(handsKey(roomId));
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+// Last socket left: the next session starts unmuted with no queue
+export async function resetRoom(roomId) {
+  await redisClient.del([speakerKey(roomId), handsKey(roomId), mutedKey(roomId), mutedAllKey(roomId)]);
+}
@@ -0,0 +1,67 @@
+import { redisClient } from '../config/redis.js';
+import { RoomKick } from '../models/index.js';
+import * as dailyService from './dailyService.js';
+import logger from '../utils/logger.js';
+
+// Longest rejoin ban an admin can give (24 hours); kicks are a cooling-off
+// measure, removing someone for good is done by suspending the account
+export const MAX_BAN_MINUTES = 24 * 60;
+
+// Default rejoin ban after a kick; 0 disables the ban
+const configuredBan = parseInt(process.env.KICK_BAN_MINUTES);
+export const KICK_BAN_MINUTES = Number.isNaN(configuredBan) ? 30 : Math.min(configuredBan, MAX_BAN_MINUTES);
+
+//   room:{roomName}:ban:{userId}   string - admin userId, expires with the ban
+const banKey = (roomName, userId) => `room:${roomName}:ban:${userId}`;
+
+// ============================================
+// BANS
+// ============================================
+
+// Seconds left on the user's ban from the room, 0 if not banned
+export async function getBanTtl(roomName, userId) {
+  const ttl = await redisClient.ttl(banKey(roomName, userId));
+  return ttl > 0 ? ttl : 0;
+}
+
+export async function liftBan(roomName, userId) {
+  return Boolean(await redisClient.del(banKey(roomName, userId)));
+}
+
+// ============================================
+// KICK
+// ============================================
+
+// Bans the user from the room (at most MAX_BAN_MINUTES), ejects them from
+// the Daily call and records the kick. Disconnecting their sockets is up to
+// the caller.
+export async function kickUser({ room, userId, actor, reason, banMinutes = KICK_BAN_MINUTES }) {
+  banMinutes = Math.min(banMinutes, MAX_BAN_MINUTES);
+  const bannedUntil = banMinutes > 0 ? new Date(Date.now() + banMinutes * 60 * 1000) : null;
+
+  // Ban first so a reconnect racing the eject is refused
+  if (bannedUntil) {
+    await redisClient.set(banKey(room.name, userId), actor.id, { EX: banMinutes * 60 });
+  }
+
+  let dailyEjected = 0;
+  try {
+    dailyEjected = await dailyService.ejectUser(room.name, userId);
+  } catch (error) {
+    logger.error(`Failed to eject user ${userId} from Daily room ${room.name}:`, error);
+  }
+
+  const kick = await RoomKick.create({
+    roomId: room.id,
+    userId,
+    kickedBy: actor.id,
+    reason: reason || null,
+    bannedUntil,
+    dailyEjected
+  });
+
+  logger.warn(`User ${userId} kicked from ${room.name} by ${actor.id}` +
+    (bannedUntil ? `, banned until ${bannedUntil.toISOString()}` : ''));
+
+  return kick;
+}
@@ -0,0 +1,116 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+// SMS/WhatsApp delivery for alerts that must reach people outside the app.
+// The adapter is picked with NOTIFIER_ADAPTER; 'stub' (default) only logs
+// the recipient, and outside production keeps the latest messages in memory
+// so escalation can be exercised locally and in tests.
+
+const DEFAULT_COUNTRY_CODE = process.env.NOTIFIER_DEFAULT_COUNTRY_CODE || '62';
+const STUB_OUTBOX_SIZE = 100;
+
+// ============================================
+// ADAPTERS
+// ============================================
+
+// An adapter is an object with: async send({ to, text })
+
+const stubOutbox = [];
+
+const stubAdapter = {
+  async send({ to, text }) {
+    if (process.env.NODE_ENV !== 'production') {
+      stubOutbox.push({ to, text, sentAt: new Date() });
+      stubOutbox.splice(0, stubOutbox.length - STUB_OUTBOX_SIZE);
+    }
+    // The text carries the sender's name, phone and location: never log it
+    logger.info(`[notifier:stub] to ${to}: ${text.length} characters (not sent)`);
+  }
+};
+
+// Twilio Messages API - same endpoint for SMS and WhatsApp, WhatsApp
+// numbers are just prefixed with "whatsapp:"
+function createTwilioAdapter(channel) {
+  const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+
+  return {
+    async send({ to, text }) {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+
+      await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({
+          From: `${prefix}${process.env.TWILIO_FROM}`,
+          To: `${prefix}${to}`,
+          Body: text
+        }),
+        {
+          auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+          timeout: 10000
+        }
+      );
+    }
+  };
+}
+
+const adapters = new Map([
+  ['stub', stubAdapter],
+  ['twilio-sms', createTwilioAdapter('sms')],
+  ['twilio-whatsapp', createTwilioAdapter('whatsapp')]
+]);
+
+// Plug in another provider (e.g. a local WhatsApp gateway)
+export function registerAdapter(name, adapter) {
+  adapters.set(name, adapter);
+}
+
+function getAdapter() {
+  const name = process.env.NOTIFIER_ADAPTER || 'stub';
+  const adapter = adapters.get(name);
+
+  if (!adapter) {
+    throw new Error(`Unknown notifier adapter: ${name}`);
+  }
+
+  return adapter;
+}
+
+// Called once at startup: the stub in production means escalations page nobody
+export function checkNotifierConfig() {
+  if (process.env.NODE_ENV === 'production' && (process.env.NOTIFIER_ADAPTER || 'stub') === 'stub') {
+    logger.warn('NOTIFIER_ADAPTER is not set, emergency escalations will not reach anyone');
+  }
+}
+
+// ============================================
+// SENDING
+// ============================================
+
+// "0812-3456 789" -> "+628123456789"
+export function normalizePhoneNumber(phone) {
+  const digits = String(phone).replace(/[^\d+]/g, '');
+
+  if (digits.startsWith('+')) return digits;
+  if (digits.startsWith('0')) return `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+  return `+${digits}`;
+}
+
+export async function sendMessage({ to, text }) {
+  const phone = normalizePhoneNumber(to);
+
+  try {
+    await getAdapter().send({ to: phone, text });
+  } catch (error) {
+    logger.error(`Failed to send notification to ${phone}:`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+// Latest messages captured by the stub adapter (always empty in production)
+export function getStubOutbox() {
+  return [...stubOutbox];
+}
+
+export function clearStubOutbox() {
+  stubOutbox.length = 0;
+}
@@ -0,0 +1,163 @@
+import { Recording, Room, User } from '../models/index.js';
+import * as dailyService from './dailyService.js';
+import * as sessionService from './sessionService.js';
+import logger from '../utils/logger.js';
+
+// How far apart our start time and Daily's start_ts may be for an app
+// started recording to be matched with the one Daily reports
+const START_MATCH_WINDOW_MS = 2 * 60 * 1000;
+
+const INCLUDES = [
+  { model: Room, as: 'room', attributes: ['id', 'name', 'displayName', 'jamaahGroup'] },
+  { model: User, as: 'starter', attributes: ['id', 'name'], paranoid: false }
+];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function assertRecordingEnabled(room) {
+  if (!room.enableRecording) {
+    throw httpError('Recording is disabled for this room', 403);
+  }
+}
+
+// ============================================
+// START / STOP
+// ============================================
+
+export async function startRecording(room, actor) {
+  assertRecordingEnabled(room);
+
+  if (await Recording.findActive(room.id)) {
+    throw httpError('Room is already being recorded', 409);
+  }
+
+  const result = await dailyService.startRecording(room.name);
+
+  const recording = await Recording.create({
+    roomId: room.id,
+    sessionId: await sessionService.getOpenSessionId(room.name),
+    dailyRecordingId: result?.recordingId || null,
+    startedBy: actor.id,
+    startedAt: new Date()
+  });
+
+  logger.info(`Recording ${recording.id} started in ${room.name} by ${actor.name}`);
+  return recording;
+}
+
+// Daily keeps processing the file after this; status follows via sync
+export async function stopRecording(room, actor) {
+  const recording = await Recording.findActive(room.id);
+  if (!recording) {
+    throw httpError('Room is not being recorded', 409);
+  }
+
+  await dailyService.stopRecording(room.name);
+
+  await recording.update({
+    stoppedBy: actor.id,
+    stoppedAt: new Date()
+  });
+
+  logger.info(`Recording ${recording.id} stopped in ${room.name} by ${actor.name}`);
+  return recording;
+}
+
+// ============================================
+// SYNC WITH DAILY
+// ============================================
+
+// Store or update one recording as Daily reports it
+export async function applyDailyRecording(room, daily) {
+  const startedAt = new Date(daily.start_ts * 1000);
+
+  let recording = await Recording.findOne({ where: { dailyRecordingId: daily.id } });
+
+  if (!recording) {
+    // Started from the app before Daily told us its id
+    const pending = await Recording.findAll({
+      where: { roomId: room.id, dailyRecordingId: null }
+    });
+    recording = pending.find(r =>
+      Math.abs(r.startedAt.getTime() - startedAt.getTime()) <= START_MATCH_WINDOW_MS
+    );
+  }
+
+  const attributes = {
+    dailyRecordingId: daily.id,
+    status: daily.status,
+    duration: daily.duration ?? null,
+    maxParticipants: daily.max_participants ?? null
+  };
+
+  // A late "started" event must not reopen a finished recording
+  if (recording && recording.status !== 'in-progress' && daily.status === 'in-progress') {
+    delete attributes.status;
+  }
+
+  if (daily.status !== 'in-progress' && daily.duration != null) {
+    attributes.stoppedAt = recording?.stoppedAt || new Date(startedAt.getTime() + daily.duration * 1000);
+  }
+
+  if (recording) {
+    return await recording.update(attributes);
+  }
+
+  // Started outside the app (e.g. from the Daily prebuilt UI)
+  return await Recording.create({ ...attributes, roomId: room.id, startedAt });
+}
+
+export async function syncRecordings(room) {
+  const recordings = await dailyService.listRecordings(room.name);
+
+  for (const daily of recordings) {
+    await applyDailyRecording(room, daily);
+  }
+
+  return recordings.length;
+}
+
+// ============================================
+// LIBRARY
+// ============================================
+
+// where: Recording attributes (roomId, sessionId); roomWhere: group scope
+export async function listRecordings(where, roomWhere = {}) {
+  return await Recording.findAll({
+    where,
+    include: [
+      { ...INCLUDES[0], where: roomWhere },
+      INCLUDES[1]
+    ],
+    order: [['startedAt', 'DESC']],
+    limit: 200
+  });
+}
+
+export async function getRecording(id, roomWhere = {}) {
+  return await Recording.findOne({
+    where: { id },
+    include: [
+      { ...INCLUDES[0], where: roomWhere },
+      INCLUDES[1]
+    ]
+  });
+}
+
+// { downloadLink, expires } - the link also plays in a <video> element
+export async function getAccessLink(recording) {
+  if (!recording.isDownloadable()) {
+    throw httpError('Recording is not ready yet', 409);
+  }
+
+  const link = await dailyService.getRecordingAccessLink(recording.dailyRecordingId);
+
+  return {
+    downloadLink: link.download_link,
+    expires: new Date(link.expires * 1000)
+  };
+}
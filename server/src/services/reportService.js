@@ -0,0 +1,204 @@
+import { Op } from 'sequelize';
+import PDFDocument from 'pdfkit';
+import { Room, RoomSession, User } from '../models/index.js';
+import * as sessionService from './sessionService.js';
+
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Riyadh';
+
+const formatDateTime = (date) => date
+  ? new Date(date).toLocaleString('id-ID', { timeZone: TIMEZONE })
+  : '';
+
+// ============================================
+// ATTENDANCE REPORT
+// ============================================
+
+// One row per (session, jamaah). With includeAbsent, every member of the
+// jamaah group appears for each session, even if they never joined.
+export async function buildAttendanceReport({ roomName, from, to, jamaahGroup, includeAbsent = false }) {
+  const roomWhere = {
+    ...(roomName && { name: roomName }),
+    ...(jamaahGroup && { jamaahGroup })
+  };
+
+  const sessionWhere = {};
+  if (from || to) {
+    sessionWhere.startedAt = {
+      ...(from && { [Op.gte]: from }),
+      ...(to && { [Op.lte]: to })
+    };
+  }
+
+  const sessions = await RoomSession.findAll({
+    where: sessionWhere,
+    include: [{
+      model: Room,
+      as: 'room',
+      attributes: ['id', 'name', 'displayName', 'jamaahGroup'],
+      where: roomWhere,
+      paranoid: false
+    }],
+    order: [['startedAt', 'ASC']]
+  });
+
+  const members = includeAbsent && jamaahGroup
+    ? await User.findByJamaah(jamaahGroup)
+    : [];
+
+  const rows = [];
+
+  for (const session of sessions) {
+    const attendance = await sessionService.getAttendanceSummary(session.id);
+    const attended = new Set(attendance.map(a => a.userId));
+
+    for (const entry of attendance) {
+      rows.push({
+        sessionId: session.id,
+        sessionStartedAt: session.startedAt,
+        room: session.room.displayName || session.room.name,
+        jamaahGroup: session.room.jamaahGroup,
+        name: entry.name,
+        no_handphone: entry.no_handphone,
+        joinedAt: entry.firstJoinedAt,
+        leftAt: entry.lastLeftAt,
+        minutes: entry.totalMinutes,
+        present: true
+      });
+    }
+
+    for (const member of members) {
+      if (attended.has(member.id)) continue;
+      rows.push({
+        sessionId: session.id,
+        sessionStartedAt: session.startedAt,
+        room: session.room.displayName || session.room.name,
+        jamaahGroup: session.room.jamaahGroup,
+        name: member.name,
+        no_handphone: member.no_handphone,
+        joinedAt: null,
+        leftAt: null,
+        minutes: 0,
+        present: false
+      });
+    }
+  }
+
+  const scope = [
+    roomName && `Room ${roomName}`,
+    jamaahGroup && `Jamaah ${jamaahGroup}`,
+    (from || to) && `${from ? formatDateTime(from) : '...'} - ${to ? formatDateTime(to) : '...'}`
+  ].filter(Boolean).join(', ');
+
+  return {
+    title: `Laporan Kehadiran${scope ? ` (${scope})` : ''}`,
+    generatedAt: new Date(),
+    sessionCount: sessions.length,
+    rows
+  };
+}
+
+// ============================================
+// CSV
+// ============================================
+
+const CSV_COLUMNS = [
+  ['Sesi', row => formatDateTime(row.sessionStartedAt)],
+  ['Room', row => row.room],
+  ['Jamaah', row => row.jamaahGroup],
+  ['Nama', row => row.name],
+  ['No. Handphone', row => row.no_handphone],
+  ['Masuk', row => formatDateTime(row.joinedAt)],
+  ['Keluar', row => formatDateTime(row.leftAt)],
+  ['Menit Hadir', row => row.minutes],
+  ['Status', row => row.present ? 'Hadir' : 'Tidak hadir']
+];
+
+// Names come from self-registration: a leading =, +, -, @ (or tab/CR)
+// would run as a formula in Excel, so such cells are prefixed with '
+function escapeCsv(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(report) {
+  const lines = [
+    CSV_COLUMNS.map(([header]) => escapeCsv(header)).join(','),
+    ...report.rows.map(row => CSV_COLUMNS.map(([, get]) => escapeCsv(get(row))).join(','))
+  ];
+
+  // BOM so Excel opens it as UTF-8
+  return '\uFEFF' + lines.join('\r\n');
+}
+
+// ============================================
+// PDF
+// ============================================
+
+const PDF_COLUMNS = [
+  ['Nama', 130, row => row.name],
+  ['No. HP', 85, row => row.no_handphone],
+  ['Masuk', 110, row => formatDateTime(row.joinedAt) || '-'],
+  ['Keluar', 110, row => row.present ? (formatDateTime(row.leftAt) || 'Masih di room') : '-'],
+  ['Menit', 45, row => String(row.minutes)],
+  ['Status', 60, row => row.present ? 'Hadir' : 'Tidak hadir']
+];
+
+// Writes a printable A4 landscape report, grouped by session, to the stream
+export function writePdf(report, stream) {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+  doc.pipe(stream);
+
+  doc.fontSize(16).text(report.title);
+  doc.fontSize(9).fillColor('#555')
+    .text(`Dibuat: ${formatDateTime(report.generatedAt)} - ${report.sessionCount} sesi`);
+  doc.fillColor('#000').moveDown();
+
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawHeader = () => {
+    const y = doc.y;
+    let x = left;
+    doc.fontSize(9).font('Helvetica-Bold');
+    for (const [label, width] of PDF_COLUMNS) {
+      doc.text(label, x, y, { width, lineBreak: false });
+      x += width;
+    }
+    doc.font('Helvetica').moveDown(0.8);
+  };
+
+  let currentSession = null;
+
+  for (const row of report.rows) {
+    if (doc.y > bottom - 40) {
+      doc.addPage();
+      currentSession = null;
+    }
+
+    if (row.sessionId !== currentSession) {
+      currentSession = row.sessionId;
+      doc.moveDown(0.5).fontSize(11).font('Helvetica-Bold')
+        .text(`${row.room} - ${formatDateTime(row.sessionStartedAt)}`, left);
+      doc.font('Helvetica').moveDown(0.3);
+      drawHeader();
+    }
+
+    const y = doc.y;
+    let x = left;
+    doc.fontSize(9);
+    for (const [, width, get] of PDF_COLUMNS) {
+      doc.text(get(row) ?? '', x, y, { width: width - 5, lineBreak: false, ellipsis: true });
+      x += width;
+    }
+    doc.moveDown(0.6);
+  }
+
+  if (report.rows.length === 0) {
+    doc.fontSize(10).text('Tidak ada data kehadiran untuk filter ini.', left);
+  }
+
+  doc.end();
+}
@@ -0,0 +1,164 @@
+import { sequelize } from '../config/database.js';
+import { Room, RoomRenewalPolicy } from '../models/index.js';
+import * as dailyService from './dailyService.js';
+import logger from '../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The Room table is the source of truth; every write here keeps Daily.co in
+// step with it and undoes the first side if the second one fails.
+
+// ============================================
+// CREATE
+// ============================================
+
+export async function createRoom(attributes) {
+  const existing = await Room.findOne({
+    where: { name: attributes.name },
+    paranoid: false
+  });
+
+  if (existing) {
+    const error = new Error('Room name already exists');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const policy = await RoomRenewalPolicy.forGroup(attributes.jamaahGroup);
+
+  const room = Room.build({
+    ...attributes,
+    expiresAt: attributes.expiresAt || new Date(Date.now() + policy.lifetimeDays * DAY),
+    // Placeholder until Daily.co gives us the real URL
+    dailyRoomUrl: `pending:${attributes.name}`
+  });
+
+  // Fail fast on bad attributes before touching Daily.co
+  await room.validate({ skip: ['createdAt', 'updatedAt'] });
+
+  const dailyRoom = await dailyService.createRoom(room.name, room.getDailyConfig());
+
+  try {
+    room.dailyRoomUrl = dailyRoom.url;
+    room.dailyRoomId = dailyRoom.id;
+    if (dailyRoom.config?.exp) {
+      room.expiresAt = new Date(dailyRoom.config.exp * 1000);
+    }
+    await room.save();
+  } catch (error) {
+    // Compensate: don't leave a Daily room without a database row. A room
+    // that already existed on Daily.co is not ours to delete.
+    if (!dailyRoom.created) {
+      logger.error(`Failed to persist room ${room.name}, Daily room existed before and is kept`, error);
+      throw error;
+    }
+
+    logger.error(`Failed to persist room ${room.name}, removing Daily room`, error);
+    await dailyService.deleteRoom(room.name).catch((cleanupError) => {
+      logger.error(`Compensation failed, Daily room ${room.name} is orphaned`, cleanupError);
+    });
+    throw error;
+  }
+
+  logger.info(`Room persisted: ${room.name} (${room.id})`);
+  return room;
+}
+
+// ============================================
+// DELETE
+// ============================================
+
+export async function deleteRoom(room) {
+  // Database changes roll back if Daily.co refuses the delete
+  await sequelize.transaction(async (transaction) => {
+    await room.update({ status: 'archived' }, { transaction });
+    await room.destroy({ transaction });
+
+    try {
+      await dailyService.deleteRoom(room.name);
+    } catch (error) {
+      // Already gone on Daily's side is fine
+      if (error.response?.status !== 404) throw error;
+      logger.warn(`Daily room ${room.name} was already deleted`);
+    }
+  });
+
+  logger.info(`Room removed: ${room.name} (${room.id})`);
+}
+
+// ============================================
+// ARCHIVE / EXTEND / RESTORE
+// ============================================
+
+// Keep the row for history but take the room off Daily.co
+export async function archiveRoom(room) {
+  await sequelize.transaction(async (transaction) => {
+    await room.update({ status: 'archived' }, { transaction });
+
+    try {
+      await dailyService.deleteRoom(room.name);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+  });
+
+  logger.info(`Room archived: ${room.name} (${room.id})`);
+}
+
+// Push expiry forward on both sides, Daily.co first
+export async function extendRoom(room, expiresAt) {
+  const previousExpiry = room.expiresAt;
+  const toUnix = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+  await dailyService.updateRoom(room.name, { exp: toUnix(expiresAt) });
+
+  try {
+    await room.update({ expiresAt });
+  } catch (error) {
+    logger.error(`Failed to persist new expiry for ${room.name}, reverting Daily room`, error);
+    if (previousExpiry) {
+      await dailyService.updateRoom(room.name, { exp: toUnix(previousExpiry) }).catch((revertError) => {
+        logger.error(`Compensation failed, Daily expiry for ${room.name} is out of sync`, revertError);
+      });
+    }
+    throw error;
+  }
+
+  logger.info(`Room extended: ${room.name} until ${new Date(expiresAt).toISOString()}`);
+  return room;
+}
+
+// Recreate a room on Daily.co from its database row
+export async function restoreDailyRoom(room) {
+  const dailyRoom = await dailyService.createRoom(room.name, room.getDailyConfig());
+
+  await room.update({
+    dailyRoomUrl: dailyRoom.url,
+    dailyRoomId: dailyRoom.id,
+    ...(dailyRoom.config?.exp && {
+      expiresAt: new Date(dailyRoom.config.exp * 1000)
+    })
+  });
+
+  logger.info(`Daily room restored: ${room.name} (${room.id})`);
+  return room;
+}
+
+// ============================================
+// LIST
+// ============================================
+
+export async function listRooms(where = {}) {
+  const [rooms, dailyRooms] = await Promise.all([
+    Room.findAll({ where, order: [['createdAt', 'DESC']] }),
+    dailyService.listRooms()
+  ]);
+
+  const dailyByName = new Map(dailyRooms.map(r => [r.name, r]));
+
+  return rooms.map(room => ({
+    ...room.toPublicJSON(),
+    daily: dailyByName.get(room.name) || null,
+    missingInDaily: !dailyByName.has(room.name)
+  }));
+}
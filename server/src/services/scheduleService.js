@@ -0,0 +1,173 @@
+import { ScheduledSession, Room } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+// How long before startsAt jamaah get session:starting-soon
+export const STARTING_SOON_MINUTES = parseInt(process.env.SESSION_STARTING_SOON_MINUTES) || 10;
+
+const ROOM = { model: Room, as: 'room', attributes: ['id', 'name', 'displayName', 'status', 'jamaahGroup'] };
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export function toPayload(session) {
+  return {
+    scheduledSessionId: session.id,
+    title: session.title,
+    type: session.type,
+    roomId: session.room?.name,
+    jamaahGroup: session.jamaahGroup,
+    startsAt: session.startsAt,
+    endsAt: session.endsAt,
+    opensAt: session.opensAt,
+    closesAt: session.closesAt
+  };
+}
+
+// ============================================
+// ITINERARY
+// ============================================
+
+// where: ScheduledSession attributes (group scope, date range...)
+export async function listSessions(where) {
+  return await ScheduledSession.findAll({
+    where,
+    include: [ROOM],
+    order: [['startsAt', 'ASC']],
+    limit: 500
+  });
+}
+
+export async function getSession(id, where = {}) {
+  return await ScheduledSession.findOne({
+    where: { id, ...where },
+    include: [ROOM]
+  });
+}
+
+// ============================================
+// ROOM WINDOW
+// ============================================
+
+// Rooms without an upcoming itinerary are always open. Otherwise jamaah
+// may only join inside a session window: { scheduled, session, next }
+export async function checkRoomWindow(room, at = new Date()) {
+  if (!(await ScheduledSession.isScheduledRoom(room.id, at))) {
+    return { scheduled: false, session: null, next: null };
+  }
+
+  const session = await ScheduledSession.findInWindow(room.id, at);
+
+  return {
+    scheduled: true,
+    session,
+    next: session ? null : await ScheduledSession.findNext(room.id, at)
+  };
+}
+
+async function openRoom(room) {
+  if (room.status === 'archived') {
+    logger.warn(`Scheduled session in archived room ${room.name}, room not opened`);
+    return;
+  }
+
+  if (room.status !== 'active') {
+    await room.update({ status: 'active' });
+    logger.info(`Room ${room.name} opened for a scheduled session`);
+  }
+}
+
+// Unless another session of the room is still running. After the last
+// session of the itinerary the room stays open: it is no longer restricted
+// to session windows (see checkRoomWindow).
+async function closeRoom(room, now) {
+  if (room.status !== 'active') return;
+  if (await ScheduledSession.findInWindow(room.id, now)) return;
+
+  if (!(await ScheduledSession.findNext(room.id, now))) {
+    logger.info(`Last scheduled session of room ${room.name} ended, room stays open`);
+    return;
+  }
+
+  await room.update({ status: 'inactive' });
+  logger.info(`Room ${room.name} closed after its scheduled session`);
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+// Brings the session (and its room) in line with the clock: open inside
+// its window, closed after it, scheduled before it. Used by the scheduler
+// job and after edits.
+export async function syncSession(session, now = new Date()) {
+  if (session.status === 'canceled') return session;
+
+  const desired = session.isInWindow(now)
+    ? 'open'
+    : new Date(session.closesAt) <= now ? 'closed' : 'scheduled';
+
+  if (desired === session.status) return session;
+
+  const room = session.room || await Room.findByPk(session.roomId);
+  const wasOpen = session.status === 'open';
+
+  await session.update({ status: desired });
+
+  if (desired === 'open') {
+    await openRoom(room);
+  } else if (wasOpen) {
+    await closeRoom(room, now);
+  }
+
+  return session;
+}
+
+export async function cancelSession(session) {
+  if (session.status === 'canceled') {
+    throw httpError('Session is already canceled', 409);
+  }
+
+  const wasOpen = session.status === 'open';
+  await session.update({ status: 'canceled' });
+
+  if (wasOpen) {
+    await closeRoom(session.room || await Room.findByPk(session.roomId), new Date());
+  }
+
+  return session;
+}
+
+// Sessions whose status no longer matches the clock
+export async function findDueForSync(now = new Date()) {
+  const { Op } = ScheduledSession.sequelize.Sequelize;
+
+  return await ScheduledSession.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'scheduled', opensAt: { [Op.lte]: now } },
+        { status: 'open', closesAt: { [Op.lte]: now } }
+      ]
+    },
+    include: [ROOM]
+  });
+}
+
+// Sessions starting within STARTING_SOON_MINUTES that nobody was told about
+export async function findDueReminders(now = new Date()) {
+  const { Op } = ScheduledSession.sequelize.Sequelize;
+
+  return await ScheduledSession.findAll({
+    where: {
+      status: { [Op.in]: ['scheduled', 'open'] },
+      remindedAt: null,
+      startsAt: {
+        [Op.gt]: now,
+        [Op.lte]: new Date(now.getTime() + STARTING_SOON_MINUTES * 60 * 1000)
+      }
+    },
+    include: [ROOM]
+  });
+}
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { redisClient } from '../config/redis.js';
+import { RoomSession, SessionAttendance, User } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+// Open session id per room, shared by all server instances
+const sessionKey = (roomName) => `room:${roomName}:session`;
+
+// ============================================
+// SESSION TRACKING
+// ============================================
+
+// Returns the room's running session, starting one if the room was empty
+export async function getOrStartSession(room) {
+  // First instance to set the key decides the id; everyone else reuses it
+  await redisClient.set(sessionKey(room.name), crypto.randomUUID(), { NX: true });
+  const sessionId = await redisClient.get(sessionKey(room.name));
+
+  const [session, created] = await RoomSession.findOrCreate({
+    where: { id: sessionId },
+    defaults: { roomId: room.id, startedAt: new Date() }
+  });
+
+  if (created) {
+    logger.info(`Session started in room ${room.name}: ${session.id}`);
+  }
+
+  return session;
+}
+
+export async function getOpenSessionId(roomName) {
+  return await redisClient.get(sessionKey(roomName));
+}
+
+export async function recordJoin(room, userId, socketId) {
+  const session = await getOrStartSession(room);
+
+  await SessionAttendance.create({
+    sessionId: session.id,
+    userId,
+    socketId,
+    joinedAt: new Date()
+  });
+
+  return session;
+}
+
+export async function recordLeave(roomName, socketId, { roomEmpty = false } = {}) {
+  const sessionId = await getOpenSessionId(roomName);
+  if (!sessionId) return;
+
+  const attendance = await SessionAttendance.findOne({
+    where: { sessionId, socketId, leftAt: null }
+  });
+  if (attendance) {
+    await attendance.close();
+  }
+
+  if (roomEmpty) {
+    await endSession(roomName, sessionId);
+  }
+}
+
+// End sessions whose room has no sockets left, e.g. the node holding the
+// last ones died before they could leave. hasSockets(roomName) is asked
+// per room right before, so a session started meanwhile is kept.
+// Called by the socket cleanup job.
+export async function endOrphanedSessions(hasSockets) {
+  let ended = 0;
+
+  for await (const key of redisClient.scanIterator({ MATCH: sessionKey('*') })) {
+    const roomName = key.slice('room:'.length, -':session'.length);
+    if (await hasSockets(roomName)) continue;
+
+    const sessionId = await redisClient.get(key);
+    if (sessionId) {
+      await endSession(roomName, sessionId);
+      ended++;
+    }
+  }
+
+  return ended;
+}
+
+// Close the session and roll its numbers into the Room statistics
+export async function endSession(roomName, sessionId) {
+  // Whoever deletes the key owns the shutdown
+  if (!(await redisClient.del(sessionKey(roomName)))) return;
+
+  const session = await RoomSession.findByPk(sessionId, { include: ['room'] });
+  if (!session || session.endedAt) return;
+
+  const now = new Date();
+
+  const openRows = await SessionAttendance.findAll({
+    where: { sessionId, leftAt: null }
+  });
+  for (const row of openRows) {
+    await row.close(now);
+  }
+
+  const participantCount = await SessionAttendance.count({
+    where: { sessionId },
+    distinct: true,
+    col: 'user_id'
+  });
+
+  await session.update({ endedAt: now, participantCount });
+
+  if (session.room) {
+    await session.room.updateActivity(participantCount);
+  }
+
+  logger.info(`Session ended in room ${roomName}: ${sessionId} (${participantCount} participants)`);
+}
+
+// ============================================
+// REPORTING
+// ============================================
+
+// Per-user attendance for a session: first join, last leave, total minutes
+export async function getAttendanceSummary(sessionId) {
+  const rows = await SessionAttendance.findAll({
+    where: { sessionId },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'name', 'no_handphone', 'jamaah'],
+      paranoid: false
+    }],
+    order: [['joinedAt', 'ASC']]
+  });
+
+  const byUser = new Map();
+  const now = new Date();
+
+  for (const row of rows) {
+    const joinedAt = new Date(row.joinedAt);
+    const leftAt = row.leftAt ? new Date(row.leftAt) : null;
+
+    const entry = byUser.get(row.userId) || {
+      userId: row.userId,
+      name: row.user?.name,
+      no_handphone: row.user?.no_handphone,
+      jamaah: row.user?.jamaah,
+      firstJoinedAt: joinedAt,
+      lastLeftAt: leftAt,
+      stillPresent: false,
+      intervals: [],
+      joins: 0
+    };
+
+    entry.joins += 1;
+    entry.intervals.push([joinedAt, leftAt || now]);
+    if (!leftAt) {
+      entry.stillPresent = true;
+    } else if (!entry.lastLeftAt || leftAt > entry.lastLeftAt) {
+      entry.lastLeftAt = leftAt;
+    }
+
+    byUser.set(row.userId, entry);
+  }
+
+  return Array.from(byUser.values()).map(({ intervals, ...entry }) => ({
+    ...entry,
+    lastLeftAt: entry.stillPresent ? null : entry.lastLeftAt,
+    totalMinutes: Math.round(presentSeconds(intervals) / 60)
+  }));
+}
+
+// Seconds covered by [start, end] intervals sorted by start. Devices of
+// the same user overlap; that time is only counted once.
+function presentSeconds(intervals) {
+  let total = 0;
+  let current = null;
+
+  for (const [start, end] of intervals) {
+    if (current && start <= current[1]) {
+      if (end > current[1]) current[1] = end;
+      continue;
+    }
+
+    if (current) total += current[1] - current[0];
+    current = [start, end];
+  }
+
+  if (current) total += current[1] - current[0];
+  return Math.round(total / 1000);
+}
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { redisClient } from '../config/redis.js';
+import { Recording, Room } from '../models/index.js';
+import * as sessionService from './sessionService.js';
+import * as recordingService from './recordingService.js';
+import logger from '../utils/logger.js';
+
+// Daily retries failed deliveries; remember processed event ids long
+// enough to drop the repeats
+const DEDUPE_TTL = 24 * 60 * 60;
+
+// Signed requests older than this are refused (replay protection)
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000;
+
+//   webhook:daily:{eventId}   string - set once the event was handled
+const eventKey = (eventId) => `webhook:daily:${eventId}`;
+
+// ============================================
+// SIGNATURE
+// ============================================
+
+// Daily signs `${timestamp}.${rawBody}` with HMAC-SHA256, keyed with the
+// base64 secret returned when the webhook was created
+export function verifySignature(rawBody, timestamp, signature, secret = process.env.DAILY_WEBHOOK_SECRET) {
+  if (!secret || !timestamp || !signature) return false;
+
+  const age = Math.abs(Date.now() - Number(timestamp) * 1000);
+  if (!(age <= MAX_SIGNATURE_AGE_MS)) return false;
+
+  const expected = crypto
+    .createHmac('sha256', Buffer.from(secret, 'base64'))
+    .update(`${timestamp}.${rawBody}`)
+    .digest();
+  const received = Buffer.from(signature, 'base64');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// ============================================
+// HANDLERS
+// ============================================
+
+const toDate = (unixSeconds) => unixSeconds ? new Date(unixSeconds * 1000) : new Date();
+
+async function findRoom(roomName) {
+  const room = roomName ? await Room.findByName(roomName) : null;
+  if (!room) {
+    logger.warn(`Daily webhook for unknown room ${roomName}, ignored`);
+  }
+  return room;
+}
+
+async function touchRoom(room, at) {
+  if (!room.lastActiveAt || new Date(room.lastActiveAt) < at) {
+    await room.update({ lastActiveAt: at });
+  }
+}
+
+const handlers = {
+  'meeting.started': async ({ room: roomName, start_ts }) => {
+    const room = await findRoom(roomName);
+    if (!room) return;
+
+    await touchRoom(room, toDate(start_ts));
+    await sessionService.getOrStartSession(room);
+  },
+
+  // Everyone left the call: close the session even if a socket
+  // disconnect was missed
+  'meeting.ended': async ({ room: roomName, end_ts }) => {
+    const room = await findRoom(roomName);
+    if (!room) return;
+
+    await touchRoom(room, toDate(end_ts));
+
+    const sessionId = await sessionService.getOpenSessionId(room.name);
+    if (sessionId) {
+      await sessionService.endSession(room.name, sessionId);
+    }
+  },
+
+  // Attendance itself is recorded from room:join/leave on the socket
+  'participant.joined': async ({ room: roomName, joined_at }) => {
+    const room = await findRoom(roomName);
+    if (!room) return;
+
+    await touchRoom(room, toDate(joined_at));
+    await sessionService.getOrStartSession(room);
+  },
+
+  'participant.left': async ({ room: roomName }) => {
+    const room = await findRoom(roomName);
+    if (!room) return;
+
+    await touchRoom(room, new Date());
+  },
+
+  'recording.started': async ({ room_name, recording_id, start_ts }) => {
+    const room = await findRoom(room_name);
+    if (!room) return;
+
+    await recordingService.applyDailyRecording(room, {
+      id: recording_id,
+      status: 'in-progress',
+      start_ts
+    });
+  },
+
+  'recording.ready-to-download': async ({ room_name, recording_id, start_ts, duration, max_participants }) => {
+    const room = await findRoom(room_name);
+    if (!room) return;
+
+    await recordingService.applyDailyRecording(room, {
+      id: recording_id,
+      status: 'finished',
+      start_ts,
+      duration,
+      max_participants
+    });
+  },
+
+  // No recording id in this event; fail whatever is running in the room
+  'recording.error': async ({ room_name, error_msg }) => {
+    const room = await findRoom(room_name);
+    if (!room) return;
+
+    const recording = await Recording.findActive(room.id);
+    if (recording) {
+      await recording.update({ status: 'error', stoppedAt: new Date() });
+    }
+
+    logger.error(`Recording failed in ${room.name}: ${error_msg}`);
+  }
+};
+
+// ============================================
+// PROCESSING
+// ============================================
+
+// Returns 'processed', 'duplicate' or 'ignored'. Throws if a handler
+// fails, after releasing the event so Daily's retry is processed.
+export async function processEvent(event) {
+  const handler = handlers[event.type];
+  if (!handler) return 'ignored';
+
+  const claimed = await redisClient.set(eventKey(event.id), new Date().toISOString(), {
+    NX: true,
+    EX: DEDUPE_TTL
+  });
+  if (!claimed) return 'duplicate';
+
+  try {
+    await handler(event.payload || {});
+  } catch (error) {
+    await redisClient.del(eventKey(event.id));
+    throw error;
+  }
+
+  logger.info(`Daily webhook ${event.type} (${event.id}) processed`);
+  return 'processed';
+}
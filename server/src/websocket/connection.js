@@ -1,18 +1,54 @@
 import logger from '../utils/logger.js';
-import { verifyToken } from '../services/authService.js';
+import { verifyToken, isTokenRevoked } from '../services/authService.js';
 import { redisClient } from '../config/redis.js';
+import { isAdminRole, canAccessGroup } from '../middleware/auth.js';
+import { Room, User } from '../models/index.js';
+import * as presence from './presence.js';
+import * as sessionService from '../services/sessionService.js';
+import * as emergencyService from '../services/emergencyService.js';
+import * as locationService from '../services/locationService.js';
+import * as geofenceService from '../services/geofenceService.js';
+import * as micService from '../services/micService.js';
+import * as moderationService from '../services/moderationService.js';
+import * as chatService from '../services/chatService.js';
+import * as announcementService from '../services/announcementService.js';
+import * as scheduleService from '../services/scheduleService.js';
+import { scheduleJob } from '../jobs/scheduler.js';
+
+// room:join rejection codes sent to the client
+const JOIN_ERRORS = {
+  ROOM_ID_REQUIRED: 'Room ID required',
+  ROOM_NOT_FOUND: 'Room not found',
+  ROOM_INACTIVE: 'Room is not active',
+  ROOM_FULL: 'Room is full',
+  BANNED: 'You have been removed from this room',
+  JOIN_FAILED: 'Failed to join room'
+};
+
+// Admin socket events driving the emergency workflow
+const EMERGENCY_EVENTS = {
+  'emergency:acknowledge': 'acknowledged',
+  'emergency:en-route': 'en-route',
+  'emergency:resolve': 'resolved'
+};
 
-// Connection tracking
-const connections = new Map(); // socketId -> user data
-const rooms = new Map();       // roomId -> Set of socketIds
-const userSockets = new Map(); // userId -> Set of socketIds (untuk multi-device)
+// Kept so REST routes can push updates to connected sockets
+let socketServer = null;
+
+// Socket.io room every member of a jamaah group joins on connect (room
+// names cannot contain ':', so this never clashes with a call room)
+const groupChannel = (jamaahGroup) => `group:${jamaahGroup}`;
+
+// Connection, room and multi-device tracking lives in Redis (see presence.js)
+// so it is shared by every server instance behind the load balancer
 
 // ============================================
 // CONNECTION INITIALIZATION
 // ============================================
 
 export const initializeWebSocket = (io) => {
-  
+  socketServer = io;
+
   // Authentication middleware untuk Socket.io
   io.use(async (socket, next) => {
     try {
@@ -24,11 +60,20 @@ export const initializeWebSocket = (io) => {
 
       // Verify JWT token
       const decoded = verifyToken(token);
+
+      if (await isTokenRevoked(decoded)) {
+        return next(new Error('Token revoked'));
+      }
+
+      if (!decoded.jamaah) {
+        return next(new Error('Token outdated, please login again'));
+      }
       
       // Attach user info to socket
       socket.userId = decoded.userId;
       socket.userRole = decoded.role;
       socket.userName = decoded.name;
+      socket.userJamaah = decoded.jamaah;
       
       logger.info(`Socket authenticated: ${socket.userName} (${socket.id})`);
       next();
@@ -46,65 +91,103 @@ export const initializeWebSocket = (io) => {
   io.on('connection', (socket) => {
     logger.info(`Client connected: ${socket.id} - User: ${socket.userName}`);
 
-    // Store connection info
-    connections.set(socket.id, {
-      userId: socket.userId,
-      userName: socket.userName,
-      userRole: socket.userRole,
-      connectedAt: new Date(),
-      roomId: null,
-      isActive: true
+    // Store connection info (also tracks the user's other devices)
+    const registered = presence.registerConnection(socket).catch((error) => {
+      logger.error('Error registering connection:', error);
     });
 
-    // Track user's multiple sockets (multi-device support)
-    if (!userSockets.has(socket.userId)) {
-      userSockets.set(socket.userId, new Set());
-    }
-    userSockets.get(socket.userId).add(socket.id);
-
     // Update user status in Redis
     updateUserStatus(socket.userId, 'online');
 
+    // Group-wide announcements
+    socket.join(groupChannel(socket.userJamaah));
+
     // ============================================
     // ROOM EVENTS
     // ============================================
 
     // Join room
     socket.on('room:join', async (data) => {
+      const rejectJoin = (code, extra = {}) => {
+        socket.emit('error', {
+          event: 'room:join',
+          code,
+          message: JOIN_ERRORS[code],
+          ...extra
+        });
+      };
+
       try {
-        const { roomId, userName } = data;
+        const { roomId, userName } = data || {};
         
         // Validation
         if (!roomId) {
-          socket.emit('error', { message: 'Room ID required' });
-          return;
+          return rejectJoin('ROOM_ID_REQUIRED');
+        }
+
+        // Room must exist and belong to the user's jamaah group
+        const room = await Room.findByName(roomId);
+        if (!room || !canAccessGroup(socketUser(socket), room.jamaahGroup)) {
+          return rejectJoin('ROOM_NOT_FOUND', { roomId });
+        }
+
+        if (!room.isActive()) {
+          return rejectJoin('ROOM_INACTIVE', { roomId });
+        }
+
+        const banTtl = await moderationService.getBanTtl(roomId, socket.userId);
+        if (banTtl) {
+          return rejectJoin('BANNED', { roomId, retryAfter: banTtl });
         }
 
-        // Leave current room if any
-        if (connections.get(socket.id).roomId) {
-          await leaveRoom(socket, io);
+        await registered;
+        const currentRoomId = (await presence.getConnection(socket.id))?.roomId;
+
+        // Reserve a slot before giving up the current room
+        if (currentRoomId !== roomId) {
+          const reserved = await presence.reserveRoomSlot(roomId, socket.userId, room.maxParticipants);
+          if (!reserved) {
+            logger.warn(`User ${socket.userName} rejected from full room ${roomId}`);
+            return rejectJoin('ROOM_FULL', { roomId, maxParticipants: room.maxParticipants });
+          }
+
+          // Leave current room if any
+          if (currentRoomId) {
+            await leaveRoom(socket.id, io);
+          }
         }
 
         // Join new room
         socket.join(roomId);
-        connections.get(socket.id).roomId = roomId;
+        await presence.addSocketToRoom(roomId, socket.id);
 
-        // Add to room tracking
-        if (!rooms.has(roomId)) {
-          rooms.set(roomId, new Set());
+        // Muted before this socket joined (e.g. mute-all): enforce in the call too
+        const joined = await presence.getConnection(socket.id);
+        if (joined && await micService.enforceOnJoin(roomId, joined)) {
+          await setMutedState(io, joined, true);
+          socket.emit('forced-mute', { by: 'admin', timestamp: new Date() });
         }
-        rooms.get(roomId).add(socket.id);
 
-        // Store in Redis for persistence
-        await redisClient.sAdd(`room:${roomId}:participants`, socket.userId);
+        // Attendance history (skip when re-joining the same room)
+        if (currentRoomId !== roomId) {
+          await sessionService.recordJoin(room, socket.userId, socket.id);
+        }
 
         // Get all participants in room
         const participants = await getRoomParticipants(roomId);
 
+        // Latest chat page; older pages via chat:history
+        const chat = room.enableChat
+          ? { enabled: true, ...(await chatService.getHistory(room)) }
+          : { enabled: false, messages: [], hasMore: false };
+
         // Notify user
         socket.emit('room:joined', {
           roomId,
+          mode: room.mode,
+          mutedAll: await micService.isMutedAll(roomId),
           participants,
+          chat,
           timestamp: new Date()
         });
 
@@ -124,13 +207,13 @@ export const initializeWebSocket = (io) => {
 
       } catch (error) {
         logger.error('Error joining room:', error);
-        socket.emit('error', { message: 'Failed to join room' });
+        rejectJoin('JOIN_FAILED');
       }
     });
 
     // Leave room
     socket.on('room:leave', async () => {
-      await leaveRoom(socket, io);
+      await leaveRoom(socket.id, io);
     });
 
     // ============================================
@@ -141,12 +224,19 @@ export const initializeWebSocket = (io) => {
     socket.on('audio:toggle', async (data) => {
       try {
         const { isMuted } = data;
-        const connection = connections.get(socket.id);
+        const connection = await presence.getConnection(socket.id);
         
-        if (!connection.roomId) return;
+        if (!connection?.roomId) return;
+
+        // Daily blocks the audio anyway; keep the shown state honest
+        if (!isMuted && !isAdminRole(socket.userRole) &&
+            await micService.isMuted(connection.roomId, socket.userId)) {
+          socket.emit('error', { event: 'audio:toggle', message: 'You have been muted by an admin' });
+          return;
+        }
 
         // Update connection state
-        connection.audioMuted = isMuted;
+        await presence.updateConnection(socket.id, { audioMuted: Boolean(isMuted) });
 
         // Notify room participants
         io.to(connection.roomId).emit('participant:audio-changed', {
@@ -171,31 +261,68 @@ export const initializeWebSocket = (io) => {
     socket.on('admin:kick', async (data) => {
       try {
         // Check if user is admin
-        if (socket.userRole !== 'admin') {
+        if (!isAdminRole(socket.userRole)) {
           socket.emit('error', { message: 'Unauthorized' });
           return;
         }
 
-        const { targetSocketId, reason } = data;
-        const targetSocket = io.sockets.sockets.get(targetSocketId);
+        const { targetSocketId, reason, banMinutes } = data;
+
+        // Omitted means the server default
+        if (banMinutes !== undefined && banMinutes !== null &&
+            !(Number.isInteger(banMinutes) && banMinutes >= 0 && banMinutes <= moderationService.MAX_BAN_MINUTES)) {
+          socket.emit('error', {
+            event: 'admin:kick',
+            message: `banMinutes must be a whole number from 0 to ${moderationService.MAX_BAN_MINUTES}`
+          });
+          return;
+        }
 
-        if (!targetSocket) {
+        // Target may be connected to any server instance
+        const targetUser = await presence.getConnection(targetSocketId);
+
+        if (!targetUser || !canAccessGroup(socketUser(socket), targetUser.userJamaah)) {
           socket.emit('error', { message: 'Participant not found' });
           return;
         }
 
-        const targetUser = connections.get(targetSocketId);
+        if (isAdminRole(targetUser.userRole)) {
+          socket.emit('error', { event: 'admin:kick', message: 'Admins cannot be kicked' });
+          return;
+        }
 
-        // Notify target user
-        targetSocket.emit('kicked', {
-          by: socket.userName,
-          reason: reason || 'No reason provided',
-          timestamp: new Date()
-        });
+        // Ban, eject from the Daily call and record the kick
+        const room = targetUser.roomId && await Room.findByName(targetUser.roomId);
+        let kick = null;
+        if (room) {
+          kick = await moderationService.kickUser({
+            room,
+            userId: targetUser.userId,
+            actor: { id: socket.userId },
+            reason,
+            ...(Number.isInteger(banMinutes) && { banMinutes })
+          });
+        }
 
-        // Force disconnect
-        await leaveRoom(targetSocket, io);
-        targetSocket.disconnect(true);
+        // All of the user's devices in that room go, not just this socket
+        const targets = room
+          ? (await presence.getConnections(await presence.getUserSocketIds(targetUser.userId)))
+            .filter(conn => conn.roomId === room.name)
+          : [targetUser];
+
+        for (const target of targets) {
+          // Notify target user
+          io.to(target.socketId).emit('kicked', {
+            by: socket.userName,
+            reason: reason || 'No reason provided',
+            bannedUntil: kick?.bannedUntil || null,
+            timestamp: new Date()
+          });
+
+          // Force disconnect
+          await leaveRoom(target.socketId, io);
+          io.in(target.socketId).disconnectSockets(true);
+        }
 
         logger.warn(`Admin ${socket.userName} kicked ${targetUser.userName}`);
 
@@ -204,25 +331,42 @@ export const initializeWebSocket = (io) => {
       }
     });
 
-    // Mute participant (Admin only)
+    // Mute participant (Admin only) - enforced in the Daily call, the
+    // socket event only updates the target's UI
     socket.on('admin:mute', async (data) => {
       try {
-        if (socket.userRole !== 'admin') {
+        if (!isAdminRole(socket.userRole)) {
           socket.emit('error', { message: 'Unauthorized' });
           return;
         }
 
         const { targetSocketId } = data;
-        const targetSocket = io.sockets.sockets.get(targetSocketId);
+        const targetUser = await presence.getConnection(targetSocketId);
+
+        if (!targetUser?.roomId || !canAccessGroup(socketUser(socket), targetUser.userJamaah)) return;
 
-        if (!targetSocket) return;
+        if (isAdminRole(targetUser.userRole)) {
+          socket.emit('error', { event: 'admin:mute', message: 'Admins cannot be muted' });
+          return;
+        }
+
+        const wasSpeaker = await micService.muteParticipant(targetUser.roomId, targetUser);
+        await setMutedState(io, targetUser, true);
 
         // Notify target to mute
-        targetSocket.emit('forced-mute', {
+        io.to(targetSocketId).emit('forced-mute', {
           by: socket.userName,
           timestamp: new Date()
         });
 
+        if (wasSpeaker) {
+          io.to(targetUser.roomId).emit('room:speaker', {
+            roomId: targetUser.roomId,
+            socketId: null,
+            timestamp: new Date()
+          });
+        }
+
         logger.info(`Admin ${socket.userName} muted participant ${targetSocketId}`);
 
       } catch (error) {
@@ -230,45 +374,358 @@ export const initializeWebSocket = (io) => {
       }
     });
 
+    // Unmute participant (Admin only) - restores what the room mode allows
+    socket.on('admin:unmute', async (data) => {
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          socket.emit('error', { message: 'Unauthorized' });
+          return;
+        }
+
+        const targetUser = await presence.getConnection(data?.targetSocketId);
+
+        if (!targetUser?.roomId || !canAccessGroup(socketUser(socket), targetUser.userJamaah)) return;
+
+        const room = await Room.findByName(targetUser.roomId);
+        if (!room) return;
+
+        const canSpeak = await micService.unmuteParticipant(room, targetUser) && !room.isBroadcast();
+
+        io.to(targetUser.socketId).emit('forced-unmute', {
+          by: socket.userName,
+          canSpeak,
+          timestamp: new Date()
+        });
+
+        logger.info(`Admin ${socket.userName} unmuted participant ${targetUser.socketId}`);
+
+      } catch (error) {
+        logger.error('Error unmuting participant:', error);
+      }
+    });
+
+    // Mute / unmute everyone except admins (Admin only). Defaults to the
+    // admin's own room; the state sticks for late joiners.
+    for (const [event, mute] of [['admin:mute-all', true], ['admin:unmute-all', false]]) {
+      socket.on(event, async (data = {}) => {
+        try {
+          if (!isAdminRole(socket.userRole)) {
+            socket.emit('error', { event, message: 'Unauthorized' });
+            return;
+          }
+
+          const roomId = data.roomId || (await presence.getConnection(socket.id))?.roomId;
+          const room = roomId && await Room.findByName(roomId);
+
+          if (!room || !canAccessGroup(socketUser(socket), room.jamaahGroup)) {
+            socket.emit('error', { event, message: 'Room not found' });
+            return;
+          }
+
+          const connections = await presence.getConnections(await presence.getRoomSocketIds(room.name));
+
+          if (mute) {
+            await micService.muteAll(room, connections);
+          } else {
+            await micService.unmuteAll(room, connections);
+          }
+
+          if (mute) {
+            for (const conn of connections.filter(conn => !isAdminRole(conn.userRole))) {
+              await setMutedState(io, conn, true);
+            }
+            io.to(room.name).emit('room:speaker', { roomId: room.name, socketId: null, timestamp: new Date() });
+          }
+
+          io.to(room.name).emit('room:muted-all', {
+            roomId: room.name,
+            mutedAll: mute,
+            by: socket.userName,
+            timestamp: new Date()
+          });
+
+          logger.info(`Admin ${socket.userName} ${mute ? 'muted' : 'unmuted'} everyone in ${room.name}`);
+
+        } catch (error) {
+          logger.error(`Error handling ${event}:`, error);
+        }
+      });
+    }
+
+    // ============================================
+    // BROADCAST MODE (RAISE HAND / MIC)
+    // ============================================
+
+    // Jamaah asks to speak; the queue keeps arrival order
+    for (const [event, raise] of [['hand:raise', true], ['hand:lower', false]]) {
+      socket.on(event, async () => {
+        try {
+          const connection = await presence.getConnection(socket.id);
+          if (!connection?.roomId) return;
+
+          const changed = raise
+            ? await micService.raiseHand(connection.roomId, socket.id)
+            : await micService.lowerHand(connection.roomId, socket.id);
+
+          if (changed) {
+            await broadcastHandQueue(io, connection.roomId);
+          }
+
+        } catch (error) {
+          logger.error(`Error handling ${event}:`, error);
+        }
+      });
+    }
+
+    // Take the next raised hand, or a specific one (Admin only). In
+    // broadcast rooms the accepted jamaah also gets the mic.
+    socket.on('admin:hand:accept', async (data = {}) => {
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          socket.emit('error', { event: 'admin:hand:accept', message: 'Unauthorized' });
+          return;
+        }
+
+        let targetSocketId = data.targetSocketId;
+        if (!targetSocketId) {
+          const own = await presence.getConnection(socket.id);
+          const queue = own?.roomId ? await micService.getHandQueue(own.roomId) : [];
+          targetSocketId = queue[0]?.socketId;
+        }
+
+        const target = targetSocketId && await presence.getConnection(targetSocketId);
+
+        if (!target?.roomId || !canAccessGroup(socketUser(socket), target.userJamaah)) {
+          socket.emit('error', { event: 'admin:hand:accept', message: 'No raised hand to accept' });
+          return;
+        }
+
+        if (!(await micService.lowerHand(target.roomId, target.socketId))) {
+          socket.emit('error', { event: 'admin:hand:accept', message: 'Hand is not raised' });
+          return;
+        }
+
+        io.to(target.socketId).emit('hand:accepted', { by: socket.userName, timestamp: new Date() });
+
+        const room = await Room.findByName(target.roomId);
+        if (room?.isBroadcast()) {
+          await giveMic(io, room, target, socket.userName);
+        }
+
+        await broadcastHandQueue(io, target.roomId);
+
+        logger.info(`Admin ${socket.userName} accepted ${target.userName}'s raised hand`);
+
+      } catch (error) {
+        logger.error('Error accepting raised hand:', error);
+      }
+    });
+
+    // Give one jamaah the mic; the previous speaker loses it (Admin only)
+    socket.on('admin:mic:grant', async (data) => {
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          socket.emit('error', { event: 'admin:mic:grant', message: 'Unauthorized' });
+          return;
+        }
+
+        const target = await presence.getConnection(data?.targetSocketId);
+
+        if (!target?.roomId || !canAccessGroup(socketUser(socket), target.userJamaah)) {
+          socket.emit('error', { event: 'admin:mic:grant', message: 'Participant not found' });
+          return;
+        }
+
+        const room = await Room.findByName(target.roomId);
+        if (!room?.isBroadcast()) {
+          socket.emit('error', { event: 'admin:mic:grant', message: 'Room is not in broadcast mode' });
+          return;
+        }
+
+        if (!(await giveMic(io, room, target, socket.userName))) {
+          socket.emit('error', { event: 'admin:mic:grant', message: 'Participant is not in the call' });
+          return;
+        }
+
+        // Their request, if any, is served
+        if (await micService.lowerHand(room.name, target.socketId)) {
+          await broadcastHandQueue(io, room.name);
+        }
+
+      } catch (error) {
+        logger.error('Error granting mic:', error);
+      }
+    });
+
+    // Take the mic back; defaults to the current speaker (Admin only)
+    socket.on('admin:mic:revoke', async (data = {}) => {
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          socket.emit('error', { event: 'admin:mic:revoke', message: 'Unauthorized' });
+          return;
+        }
+
+        let targetSocketId = data.targetSocketId;
+        if (!targetSocketId) {
+          const own = await presence.getConnection(socket.id);
+          targetSocketId = own?.roomId && await micService.getSpeaker(own.roomId);
+        }
+
+        const target = targetSocketId && await presence.getConnection(targetSocketId);
+
+        if (!target?.roomId || !canAccessGroup(socketUser(socket), target.userJamaah)) {
+          socket.emit('error', { event: 'admin:mic:revoke', message: 'Participant not found' });
+          return;
+        }
+
+        await micService.revokeMic(target.roomId, target);
+
+        io.to(target.socketId).emit('mic:revoked', { by: socket.userName, timestamp: new Date() });
+        io.to(target.roomId).emit('room:speaker', {
+          roomId: target.roomId,
+          socketId: null,
+          timestamp: new Date()
+        });
+
+        logger.info(`Admin ${socket.userName} took the mic from ${target.userName}`);
+
+      } catch (error) {
+        logger.error('Error revoking mic:', error);
+      }
+    });
+
+    // ============================================
+    // CHAT EVENTS
+    // ============================================
+
+    // Text message to the current room: { text }
+    socket.on('chat:send', async (data = {}) => {
+      try {
+        const connection = await presence.getConnection(socket.id);
+        if (!connection?.roomId) {
+          socket.emit('error', { event: 'chat:send', message: 'Not in a room' });
+          return;
+        }
+
+        const room = await Room.findByName(connection.roomId);
+        if (!room) return;
+
+        const sender = { id: socket.userId, name: socket.userName, role: socket.userRole };
+        const message = await chatService.sendMessage(room, sender, data.text);
+
+        io.to(room.name).emit('chat:message', chatService.toPayload(message));
+
+      } catch (error) {
+        if (error.statusCode) {
+          socket.emit('error', {
+            event: 'chat:send',
+            message: error.message,
+            ...(error.retryAfter && { retryAfter: error.retryAfter })
+          });
+          return;
+        }
+        logger.error('Error sending chat message:', error);
+      }
+    });
+
+    // Older messages of the current room: { before } (messageId of the oldest one shown)
+    socket.on('chat:history', async (data = {}) => {
+      try {
+        const connection = await presence.getConnection(socket.id);
+        if (!connection?.roomId) return;
+
+        const room = await Room.findByName(connection.roomId);
+        if (!room?.enableChat) return;
+
+        const history = await chatService.getHistory(room, { before: data.before });
+
+        socket.emit('chat:history', { roomId: room.name, ...history });
+
+      } catch (error) {
+        if (error.statusCode) {
+          socket.emit('error', { event: 'chat:history', message: error.message });
+          return;
+        }
+        logger.error('Error loading chat history:', error);
+      }
+    });
+
+    // Remove a message from the current room (Admin only): { messageId }
+    socket.on('admin:chat:delete', async (data = {}) => {
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          socket.emit('error', { event: 'admin:chat:delete', message: 'Unauthorized' });
+          return;
+        }
+
+        const connection = await presence.getConnection(socket.id);
+        const room = connection?.roomId ? await Room.findByName(connection.roomId) : null;
+        if (!room) {
+          socket.emit('error', { event: 'admin:chat:delete', message: 'Message not found' });
+          return;
+        }
+
+        const actor = { id: socket.userId, name: socket.userName };
+        const message = await chatService.deleteMessage(room, data.messageId, actor);
+
+        io.to(room.name).emit('chat:deleted', {
+          roomId: room.name,
+          messageId: message.id,
+          by: socket.userName,
+          timestamp: new Date()
+        });
+
+      } catch (error) {
+        if (error.statusCode) {
+          socket.emit('error', { event: 'admin:chat:delete', message: error.message });
+          return;
+        }
+        logger.error('Error deleting chat message:', error);
+        socket.emit('error', { event: 'admin:chat:delete', message: 'Failed to delete message' });
+      }
+    });
+
     // ============================================
     // EMERGENCY/SOS EVENTS
     // ============================================
 
     socket.on('emergency:alert', async (data) => {
       try {
-        const { location, message } = data;
-        const connection = connections.get(socket.id);
+        const { location, message } = data || {};
 
-        if (!connection.roomId) return;
+        // The sender does not have to be in a call to ask for help
+        const connection = await presence.getConnection(socket.id);
 
-        // Store emergency in Redis
-        const emergencyData = {
-          userId: socket.userId,
-          userName: socket.userName,
-          location,
-          message,
-          timestamp: new Date(),
-          roomId: connection.roomId
-        };
+        // A bad position must not lose the SOS: keep the alert, drop the location
+        const validLocation = locationService.isValidPosition(location);
+        if (location && !validLocation) {
+          logger.warn(`Emergency alert from ${socket.userName} has an invalid location, stored without it`);
+        }
 
-        await redisClient.lPush(
-          'emergencies:active',
-          JSON.stringify(emergencyData)
-        );
-
-        // Notify all admins in room
-        const roomSockets = rooms.get(connection.roomId);
-        if (roomSockets) {
-          for (const sid of roomSockets) {
-            const conn = connections.get(sid);
-            if (conn?.userRole === 'admin') {
-              io.to(sid).emit('emergency:received', emergencyData);
-            }
-          }
+        // Persist the incident so it survives restarts and can be followed up
+        const emergency = await emergencyService.createEmergency({
+          sender: { id: socket.userId, jamaah: socket.userJamaah },
+          roomName: connection?.roomId || null,
+          location: validLocation ? {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            accuracy: Number.isFinite(location.accuracy) && location.accuracy >= 0 ? location.accuracy : null
+          } : null,
+          message: typeof message === 'string' ? message : null
+        });
+
+        const emergencyData = emergencyService.toPayload(emergency);
+
+        // Notify every online admin of the sender's group and every online
+        // super-admin; unacknowledged alerts are escalated by
+        // jobs/emergencyEscalation.js
+        for (const socketId of await getGroupAdminSocketIds(emergency.jamaahGroup)) {
+          io.to(socketId).emit('emergency:received', emergencyData);
         }
 
         // Confirm to sender
         socket.emit('emergency:sent', {
+          emergencyId: emergency.id,
           status: 'received',
           timestamp: new Date()
         });
@@ -280,17 +737,142 @@ export const initializeWebSocket = (io) => {
       }
     });
 
+    // Incident workflow (Admin only): { emergencyId, note }
+    for (const [event, status] of Object.entries(EMERGENCY_EVENTS)) {
+      socket.on(event, async (data = {}) => {
+        try {
+          if (!isAdminRole(socket.userRole)) {
+            socket.emit('error', { event, message: 'Unauthorized' });
+            return;
+          }
+
+          const actor = { ...socketUser(socket), id: socket.userId };
+          const emergency = await emergencyService.updateStatus(data.emergencyId, actor, status, {
+            note: data.note,
+            via: 'socket'
+          });
+
+          await notifyEmergencyUpdate(emergency);
+
+        } catch (error) {
+          if (error.statusCode) {
+            socket.emit('error', { event, message: error.message });
+            return;
+          }
+          logger.error(`Error handling ${event}:`, error);
+        }
+      });
+    }
+
     // ============================================
-    // HEARTBEAT / PING-PONG
+    // LOCATION SHARING
     // ============================================
 
-    socket.on('ping', (callback) => {
-      const connection = connections.get(socket.id);
-      if (connection) {
-        connection.lastPing = new Date();
-        if (typeof callback === 'function') {
-          callback({ pong: true, timestamp: Date.now() });
+    // Periodic position from a jamaah who opted in: { latitude, longitude, accuracy }
+    socket.on('location:update', async (data) => {
+      try {
+        if (!locationService.isValidPosition(data)) {
+          socket.emit('error', { event: 'location:update', message: 'Invalid location' });
+          return;
         }
+
+        const user = {
+          id: socket.userId,
+          name: socket.userName,
+          role: socket.userRole,
+          jamaah: socket.userJamaah
+        };
+        const location = await locationService.updateLocation(user, data);
+        const change = await locationService.checkSeparation(location);
+
+        if (change) {
+          const event = change.type === 'separated' ? 'location:separated' : 'location:returned';
+          const payload = {
+            userId: location.userId,
+            userName: location.userName,
+            location,
+            distance: change.distance,
+            maxDistance: locationService.MAX_LEADER_DISTANCE,
+            leader: { userId: change.leader.userId, userName: change.leader.userName },
+            timestamp: new Date()
+          };
+
+          for (const socketId of await getGroupAdminSocketIds(location.jamaahGroup)) {
+            io.to(socketId).emit(event, payload);
+          }
+
+          if (change.type === 'separated') {
+            logger.warn(`${location.userName} is ${change.distance}m from the group leader`);
+          }
+        }
+
+        // Geofences of the group and of the room the jamaah is in
+        const connection = await presence.getConnection(socket.id);
+        const geofenceAlerts = await geofenceService.evaluateLocation(location, connection?.roomId);
+
+        if (geofenceAlerts.length > 0) {
+          const adminSocketIds = await getGroupAdminSocketIds(location.jamaahGroup);
+
+          for (const alert of geofenceAlerts) {
+            const payload = geofenceService.toAlertPayload(location, alert);
+            for (const socketId of adminSocketIds) {
+              io.to(socketId).emit('geofence:alert', payload);
+            }
+            logger.warn(`Geofence alert: ${payload.message}`);
+          }
+        }
+
+      } catch (error) {
+        logger.error('Error updating location:', error);
+      }
+    });
+
+    socket.on('location:stop', async () => {
+      try {
+        await locationService.stopSharing(socket.userId, socket.userJamaah);
+      } catch (error) {
+        logger.error('Error stopping location sharing:', error);
+      }
+    });
+
+    // Latest positions of the group, for the mutowif map (Admin only)
+    socket.on('admin:locations', async (data = {}) => {
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          socket.emit('error', { event: 'admin:locations', message: 'Unauthorized' });
+          return;
+        }
+
+        const jamaahGroup = data.jamaahGroup || socket.userJamaah;
+        if (!canAccessGroup(socketUser(socket), jamaahGroup)) {
+          socket.emit('error', { event: 'admin:locations', message: 'Unauthorized' });
+          return;
+        }
+
+        socket.emit('location:group', {
+          jamaahGroup,
+          locations: await locationService.getGroupLocations(jamaahGroup),
+          timestamp: new Date()
+        });
+
+      } catch (error) {
+        logger.error('Error getting group locations:', error);
+      }
+    });
+
+    // ============================================
+    // HEARTBEAT / PING-PONG
+    // ============================================
+
+    socket.on('ping', async (callback) => {
+      try {
+        await presence.touchConnection(socket.id);
+      } catch (error) {
+        logger.error('Error refreshing connection:', error);
+      }
+
+      if (typeof callback === 'function') {
+        callback({ pong: true, timestamp: Date.now() });
       }
     });
 
@@ -302,23 +884,18 @@ export const initializeWebSocket = (io) => {
       logger.info(`Client disconnected: ${socket.id} - Reason: ${reason}`);
 
       try {
+        await registered;
+
         // Leave room if in one
-        await leaveRoom(socket, io);
-
-        // Remove from user sockets
-        const userSocketSet = userSockets.get(socket.userId);
-        if (userSocketSet) {
-          userSocketSet.delete(socket.id);
-          
-          // If user has no more active sockets, mark as offline
-          if (userSocketSet.size === 0) {
-            await updateUserStatus(socket.userId, 'offline');
-            userSockets.delete(socket.userId);
-          }
-        }
+        await leaveRoom(socket.id, io);
+
+        // Remove from connections and user sockets
+        const remainingSockets = await presence.removeConnection(socket.id, socket.userId);
 
-        // Remove from connections
-        connections.delete(socket.id);
+        // If user has no more active sockets, mark as offline
+        if (remainingSockets === 0) {
+          await updateUserStatus(socket.userId, 'offline');
+        }
 
       } catch (error) {
         logger.error('Error handling disconnect:', error);
@@ -339,10 +916,8 @@ export const initializeWebSocket = (io) => {
   // PERIODIC CLEANUP
   // ============================================
 
-  // Clean up stale connections every 5 minutes
-  setInterval(() => {
-    cleanupStaleConnections(io);
-  }, 5 * 60 * 1000);
+  // Clean up stale connections every 5 minutes (one instance at a time)
+  scheduleJob('socket-cleanup', 5 * 60 * 1000, () => cleanupStaleConnections(io));
 
   logger.info('WebSocket server initialized');
 };
@@ -351,42 +926,49 @@ export const initializeWebSocket = (io) => {
 // HELPER FUNCTIONS
 // ============================================
 
-async function leaveRoom(socket, io) {
-  const connection = connections.get(socket.id);
+// Shape expected by the group-scoping helpers in middleware/auth.js
+function socketUser(socket) {
+  return { role: socket.userRole, jamaah: socket.userJamaah };
+}
+
+// Works for sockets on any server instance - only the socketId is needed
+async function leaveRoom(socketId, io) {
+  const connection = await presence.getConnection(socketId);
   
   if (!connection?.roomId) return;
 
   const roomId = connection.roomId;
 
   try {
-    // Leave Socket.io room
-    socket.leave(roomId);
+    // Leave Socket.io room (via the adapter, wherever the socket lives)
+    io.in(socketId).socketsLeave(roomId);
 
     // Remove from room tracking
-    if (rooms.has(roomId)) {
-      rooms.get(roomId).delete(socket.id);
-      
-      // Delete room if empty
-      if (rooms.get(roomId).size === 0) {
-        rooms.delete(roomId);
-        logger.info(`Room ${roomId} deleted (empty)`);
-      }
+    const isEmpty = await presence.removeSocketFromRoom(roomId, socketId, connection.userId);
+    if (isEmpty) {
+      await micService.resetRoom(roomId);
+      logger.info(`Room ${roomId} deleted (empty)`);
     }
 
-    // Remove from Redis
-    await redisClient.sRem(`room:${roomId}:participants`, socket.userId);
-
     // Notify others
     io.to(roomId).emit('participant:left', {
-      userId: socket.userId,
-      userName: socket.userName,
+      userId: connection.userId,
+      userName: connection.userName,
       timestamp: new Date()
     });
 
-    // Update connection
-    connection.roomId = null;
+    // Free the mic and drop any raised hand
+    if (await micService.clearSpeaker(roomId, socketId)) {
+      io.to(roomId).emit('room:speaker', { roomId, socketId: null, timestamp: new Date() });
+    }
+    if (await micService.lowerHand(roomId, socketId)) {
+      await broadcastHandQueue(io, roomId);
+    }
+
+    logger.info(`User ${connection.userName} left room ${roomId}`);
 
-    logger.info(`User ${socket.userName} left room ${roomId}`);
+    // Close attendance, and the session if this was the last socket
+    await sessionService.recordLeave(roomId, socketId, { roomEmpty: isEmpty });
 
   } catch (error) {
     logger.error('Error leaving room:', error);
@@ -395,39 +977,109 @@ async function leaveRoom(socket, io) {
 
 async function getRoomParticipants(roomId) {
   try {
-    const socketIds = rooms.get(roomId);
-    if (!socketIds) return [];
-
-    const participants = [];
-    for (const socketId of socketIds) {
-      const conn = connections.get(socketId);
-      if (conn) {
-        participants.push({
-          userId: conn.userId,
-          userName: conn.userName,
-          userRole: conn.userRole,
-          socketId: socketId,
-          audioMuted: conn.audioMuted || false
-        });
-      }
-    }
+    const connections = await presence.getConnections(
+      await presence.getRoomSocketIds(roomId)
+    );
 
-    return participants;
+    return connections.map(conn => ({
+      userId: conn.userId,
+      userName: conn.userName,
+      userRole: conn.userRole,
+      socketId: conn.socketId,
+      audioMuted: conn.audioMuted
+    }));
   } catch (error) {
     logger.error('Error getting room participants:', error);
     return [];
   }
 }
 
+// Mark a connection muted and tell its room, as audio:toggle does
+async function setMutedState(io, connection, isMuted) {
+  await presence.updateConnection(connection.socketId, { audioMuted: isMuted });
+
+  io.to(connection.roomId).emit('participant:audio-changed', {
+    userId: connection.userId,
+    userName: connection.userName,
+    isMuted,
+    timestamp: new Date()
+  });
+}
+
+// Hand the mic to target, taking it from whoever had it. Returns false
+// when target is not in the Daily call.
+async function giveMic(io, room, target, byName) {
+  const { granted, previous } = await micService.grantMic(room.name, target);
+  if (!granted) return false;
+
+  if (previous) {
+    const previousConnection = await presence.getConnection(previous);
+    // Permissions are per user: another device of target keeps the mic
+    if (previousConnection && previousConnection.userId !== target.userId) {
+      await micService.revokeMic(room.name, previousConnection);
+    }
+    io.to(previous).emit('mic:revoked', { by: byName, timestamp: new Date() });
+  }
+
+  io.to(target.socketId).emit('mic:granted', { by: byName, timestamp: new Date() });
+  io.to(room.name).emit('room:speaker', {
+    roomId: room.name,
+    socketId: target.socketId,
+    userId: target.userId,
+    userName: target.userName,
+    timestamp: new Date()
+  });
+
+  logger.info(`${byName} gave the mic to ${target.userName} in ${room.name}`);
+  return true;
+}
+
+// Raised hands in order, with who they belong to
+async function getHandQueue(roomId) {
+  const queue = [];
+
+  for (const entry of await micService.getHandQueue(roomId)) {
+    const conn = await presence.getConnection(entry.socketId);
+
+    // Socket went away without leaving cleanly
+    if (!conn || conn.roomId !== roomId) {
+      await micService.lowerHand(roomId, entry.socketId);
+      continue;
+    }
+
+    queue.push({
+      socketId: conn.socketId,
+      userId: conn.userId,
+      userName: conn.userName,
+      raisedAt: entry.raisedAt
+    });
+  }
+
+  return queue;
+}
+
+async function broadcastHandQueue(io, roomId) {
+  io.to(roomId).emit('hand:queue', {
+    roomId,
+    queue: await getHandQueue(roomId),
+    timestamp: new Date()
+  });
+}
+
 async function getRoomState(roomId) {
   try {
     const participants = await getRoomParticipants(roomId);
     const participantCount = participants.length;
+    const room = await Room.findByName(roomId);
 
     return {
       roomId,
       participants,
       participantCount,
+      speakerSocketId: await micService.getSpeaker(roomId),
+      handQueue: await getHandQueue(roomId),
+      mutedAll: await micService.isMutedAll(roomId),
+      pinnedAnnouncement: room ? await announcementService.getPinned(room) : null,
       timestamp: new Date()
     };
   } catch (error) {
@@ -454,45 +1106,186 @@ async function cleanupStaleConnections(io) {
   const now = Date.now();
   const STALE_THRESHOLD = 5 * 60 * 1000; // 5 minutes
 
-  for (const [socketId, connection] of connections) {
+  const socketIds = await presence.listConnectionIds();
+  let active = 0;
+
+  for (const socketId of socketIds) {
+    const connection = await presence.getConnection(socketId);
+
+    // Hash expired - the owning node went away without cleaning up
+    if (!connection) {
+      logger.warn(`Purging orphaned connection: ${socketId}`);
+      for (const { roomId, empty } of await presence.purgeConnection(socketId)) {
+        if (empty) {
+          await micService.resetRoom(roomId);
+        }
+        await sessionService.recordLeave(roomId, socketId, { roomEmpty: empty });
+      }
+      continue;
+    }
+
     // Check if connection is stale
     const lastActivity = connection.lastPing || connection.connectedAt;
     const timeSinceActivity = now - lastActivity.getTime();
 
     if (timeSinceActivity > STALE_THRESHOLD) {
       logger.warn(`Cleaning up stale connection: ${socketId}`);
-      
-      const socket = io.sockets.sockets.get(socketId);
-      if (socket) {
-        socket.disconnect(true);
-      }
-      
-      connections.delete(socketId);
+
+      await leaveRoom(socketId, io);
+      io.in(socketId).disconnectSockets(true);
+      await presence.removeConnection(socketId, connection.userId);
+      continue;
     }
+
+    active++;
+  }
+
+  // Sessions left open by a node that died with the last sockets of a room
+  const ended = await sessionService.endOrphanedSessions(async (roomId) =>
+    (await presence.getRoomSocketIds(roomId)).length > 0
+  );
+  if (ended > 0) {
+    logger.warn(`Ended ${ended} orphaned room session(s)`);
   }
 
-  logger.info(`Connection cleanup complete. Active: ${connections.size}`);
+  logger.info(`Connection cleanup complete. Active: ${active}`);
+}
+
+// ============================================
+// ADMIN NOTIFICATIONS
+// ============================================
+
+// Sockets of every online admin of a jamaah group and every online super-admin
+async function getGroupAdminSocketIds(jamaahGroup) {
+  const admins = await User.getAdminsForGroup(jamaahGroup);
+
+  const socketIds = [];
+  for (const admin of admins) {
+    socketIds.push(...await presence.getUserSocketIds(admin.id));
+  }
+  return socketIds;
+}
+
+// Push a status change to the sender's devices and the responsible admins
+export async function notifyEmergencyUpdate(emergency) {
+  if (!socketServer) return;
+
+  const payload = emergencyService.toPayload(emergency);
+  const socketIds = new Set([
+    ...(await presence.getUserSocketIds(emergency.userId)),
+    ...(await getGroupAdminSocketIds(emergency.jamaahGroup))
+  ]);
+
+  for (const socketId of socketIds) {
+    socketServer.to(socketId).emit('emergency:updated', payload);
+  }
+}
+
+// Room mode changed over REST: update the call and tell participants
+export async function notifyRoomModeChange(room) {
+  if (!socketServer) return;
+
+  const connections = await presence.getConnections(await presence.getRoomSocketIds(room.name));
+  await micService.applyRoomMode(room, connections);
+
+  socketServer.to(room.name).emit('room:mode', {
+    roomId: room.name,
+    mode: room.mode,
+    timestamp: new Date()
+  });
+  socketServer.to(room.name).emit('room:speaker', {
+    roomId: room.name,
+    socketId: null,
+    timestamp: new Date()
+  });
+}
+
+// Sent announcement: to its room, or to everyone online in the group
+export function notifyAnnouncement(announcement) {
+  if (!socketServer) return;
+
+  const target = announcement.room?.name || groupChannel(announcement.jamaahGroup);
+  socketServer.to(target).emit('announcement:new', announcementService.toPayload(announcement));
+}
+
+export function notifyAnnouncementUnpinned(announcement) {
+  if (!socketServer) return;
+
+  const target = announcement.room?.name || groupChannel(announcement.jamaahGroup);
+  socketServer.to(target).emit('announcement:unpinned', {
+    announcementId: announcement.id,
+    timestamp: new Date()
+  });
+}
+
+// Account suspended or deleted: drop every socket of the user, on any
+// server instance. Returns how many sockets were disconnected.
+export async function disconnectUser(userId, reason) {
+  if (!socketServer) return 0;
+
+  const socketIds = await presence.getUserSocketIds(userId);
+
+  for (const socketId of socketIds) {
+    socketServer.to(socketId).emit('account:disabled', {
+      reason,
+      timestamp: new Date()
+    });
+
+    await leaveRoom(socketId, socketServer);
+    socketServer.in(socketId).disconnectSockets(true);
+  }
+
+  if (socketIds.length > 0) {
+    logger.warn(`Disconnected ${socketIds.length} socket(s) of user ${userId}: ${reason}`);
+  }
+
+  return socketIds.length;
+}
+
+// Itinerary reminder to everyone online in the session's group
+export function notifySessionStartingSoon(session) {
+  if (!socketServer) return;
+
+  socketServer.to(groupChannel(session.jamaahGroup)).emit('session:starting-soon', {
+    ...scheduleService.toPayload(session),
+    minutesLeft: Math.max(Math.round((new Date(session.startsAt) - Date.now()) / 60000), 0),
+    timestamp: new Date()
+  });
 }
 
 // ============================================
 // MONITORING / STATISTICS
 // ============================================
 
-export function getConnectionStats() {
+// Pass a jamaah group to limit stats to that group; null for everything
+export async function getConnectionStats(jamaahGroup = null) {
+  const inScope = (conn) => !jamaahGroup || conn.userJamaah === jamaahGroup;
+
+  const connections = (await presence.getConnections(await presence.listConnectionIds()))
+    .filter(inScope);
+
+  const rooms = new Map();
+  for (const conn of connections) {
+    if (conn.roomId) {
+      rooms.set(conn.roomId, (rooms.get(conn.roomId) || 0) + 1);
+    }
+  }
+
   return {
-    totalConnections: connections.size,
+    totalConnections: connections.length,
     totalRooms: rooms.size,
-    totalUsers: userSockets.size,
-    connections: Array.from(connections.entries()).map(([id, conn]) => ({
-      socketId: id,
+    totalUsers: new Set(connections.map(conn => conn.userId)).size,
+    connections: connections.map(conn => ({
+      socketId: conn.socketId,
       userId: conn.userId,
       userName: conn.userName,
+      userJamaah: conn.userJamaah,
       roomId: conn.roomId,
       connectedAt: conn.connectedAt
     })),
-    rooms: Array.from(rooms.entries()).map(([id, sockets]) => ({
+    rooms: Array.from(rooms.entries()).map(([id, participantCount]) => ({
       roomId: id,
-      participantCount: sockets.size
+      participantCount
     }))
   };
 }
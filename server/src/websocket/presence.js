@@ -0,0 +1,215 @@
+import { redisClient } from '../config/redis.js';
+
+// ============================================
+// SHARED CONNECTION STATE (REDIS)
+// ============================================
+//
+// Every server instance reads and writes the same keys, so participant
+// lists, kicks and stats work no matter which node holds a socket.
+//
+//   socket:{socketId}              hash  - user info, roomId, audioMuted, lastPing
+//   sockets:active                 set   - all live socketIds
+//   sockets:owners                 hash  - socketId -> userId, outlives the socket
+//                                          hash so a crashed node's sockets can be
+//                                          traced back to their user
+//   user:{userId}:sockets          set   - socketIds per user (multi-device)
+//   room:{roomId}:sockets          set   - socketIds in a room
+//   room:{roomId}:participants     set   - userIds in a room (capacity)
+//   rooms:active                   set   - roomIds with at least one socket
+
+// Socket hashes expire unless refreshed by ping, so a crashed node's
+// sockets disappear on their own
+export const CONNECTION_TTL = 5 * 60; // 5 minutes
+
+const socketKey = (socketId) => `socket:${socketId}`;
+const userSocketsKey = (userId) => `user:${userId}:sockets`;
+const roomSocketsKey = (roomId) => `room:${roomId}:sockets`;
+const roomParticipantsKey = (roomId) => `room:${roomId}:participants`;
+
+function parseConnection(socketId, hash) {
+  if (!hash || Object.keys(hash).length === 0) return null;
+
+  return {
+    socketId,
+    userId: hash.userId,
+    userName: hash.userName,
+    userRole: hash.userRole,
+    userJamaah: hash.userJamaah,
+    roomId: hash.roomId || null,
+    audioMuted: hash.audioMuted === '1',
+    connectedAt: new Date(hash.connectedAt),
+    lastPing: hash.lastPing ? new Date(hash.lastPing) : null
+  };
+}
+
+// ============================================
+// CONNECTIONS
+// ============================================
+
+export async function registerConnection(socket) {
+  await redisClient.hSet(socketKey(socket.id), {
+    userId: socket.userId,
+    userName: socket.userName,
+    userRole: socket.userRole,
+    userJamaah: socket.userJamaah,
+    roomId: '',
+    audioMuted: '0',
+    connectedAt: new Date().toISOString()
+  });
+  await redisClient.expire(socketKey(socket.id), CONNECTION_TTL);
+  await redisClient.sAdd('sockets:active', socket.id);
+  await redisClient.hSet('sockets:owners', socket.id, socket.userId);
+  await redisClient.sAdd(userSocketsKey(socket.userId), socket.id);
+}
+
+export async function getConnection(socketId) {
+  return parseConnection(socketId, await redisClient.hGetAll(socketKey(socketId)));
+}
+
+export async function getConnections(socketIds) {
+  const result = [];
+  for (const socketId of socketIds) {
+    const connection = await getConnection(socketId);
+    if (connection) result.push(connection);
+  }
+  return result;
+}
+
+export async function updateConnection(socketId, fields) {
+  // Don't resurrect a hash that already expired or was removed
+  if (!(await redisClient.exists(socketKey(socketId)))) return;
+
+  const values = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (typeof value === 'boolean') values[key] = value ? '1' : '0';
+    else if (value instanceof Date) values[key] = value.toISOString();
+    else values[key] = value ?? '';
+  }
+  await redisClient.hSet(socketKey(socketId), values);
+}
+
+// Called on ping - keeps the socket from expiring. Returns false when the
+// hash is gone (purged or kicked); a late ping must not recreate it.
+export async function touchConnection(socketId) {
+  if (!(await redisClient.exists(socketKey(socketId)))) return false;
+
+  await redisClient.hSet(socketKey(socketId), 'lastPing', new Date().toISOString());
+  await redisClient.expire(socketKey(socketId), CONNECTION_TTL);
+  return true;
+}
+
+// Returns how many sockets the user still has open
+export async function removeConnection(socketId, userId) {
+  await redisClient.del(socketKey(socketId));
+  await redisClient.sRem('sockets:active', socketId);
+  await redisClient.hDel('sockets:owners', socketId);
+
+  if (!userId) return 0;
+
+  await redisClient.sRem(userSocketsKey(userId), socketId);
+
+  // Count live sockets only, pruning any left behind by a crashed node
+  let live = 0;
+  for (const otherId of await getUserSocketIds(userId)) {
+    if (await redisClient.exists(socketKey(otherId))) live++;
+    else await redisClient.sRem(userSocketsKey(userId), otherId);
+  }
+  return live;
+}
+
+export async function listConnectionIds() {
+  return await redisClient.sMembers('sockets:active');
+}
+
+export async function getUserSocketIds(userId) {
+  return await redisClient.sMembers(userSocketsKey(userId));
+}
+
+// ============================================
+// ROOMS
+// ============================================
+
+// Add the user to the room's participant set unless that would exceed
+// maxParticipants. A user already in the set (other device) always fits.
+export async function reserveRoomSlot(roomId, userId, maxParticipants) {
+  const key = roomParticipantsKey(roomId);
+  const added = await redisClient.sAdd(key, userId);
+
+  if (!added) return true;
+
+  const count = await redisClient.sCard(key);
+  if (count > maxParticipants) {
+    await redisClient.sRem(key, userId);
+    return false;
+  }
+
+  return true;
+}
+
+export async function addSocketToRoom(roomId, socketId) {
+  await redisClient.sAdd(roomSocketsKey(roomId), socketId);
+  await redisClient.sAdd('rooms:active', roomId);
+  await updateConnection(socketId, { roomId });
+}
+
+// Returns true when the room has no sockets left
+export async function removeSocketFromRoom(roomId, socketId, userId) {
+  await redisClient.sRem(roomSocketsKey(roomId), socketId);
+  await updateConnection(socketId, { roomId: '' });
+
+  // Only drop the user from participants if no other device is still in the room
+  const remaining = await getConnections(await getUserSocketIds(userId));
+  if (!remaining.some(conn => conn.socketId !== socketId && conn.roomId === roomId)) {
+    await redisClient.sRem(roomParticipantsKey(roomId), userId);
+  }
+
+  if (await redisClient.sCard(roomSocketsKey(roomId)) === 0) {
+    await redisClient.sRem('rooms:active', roomId);
+    return true;
+  }
+  return false;
+}
+
+export async function getRoomSocketIds(roomId) {
+  return await redisClient.sMembers(roomSocketsKey(roomId));
+}
+
+export async function listActiveRoomIds() {
+  return await redisClient.sMembers('rooms:active');
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+// Drop set entries whose socket hash has expired (e.g. the node crashed),
+// including the user's participant slot so ghosts don't count toward
+// capacity. Returns the rooms the socket was in: [{ roomId, empty }]
+export async function purgeConnection(socketId) {
+  const userId = await redisClient.hGet('sockets:owners', socketId);
+
+  await redisClient.sRem('sockets:active', socketId);
+  await redisClient.hDel('sockets:owners', socketId);
+  if (userId) {
+    await redisClient.sRem(userSocketsKey(userId), socketId);
+  }
+
+  // Devices of the user that are still alive (their hash exists)
+  const liveConnections = userId ? await getConnections(await getUserSocketIds(userId)) : [];
+
+  const rooms = [];
+  for (const roomId of await listActiveRoomIds()) {
+    if (await redisClient.sRem(roomSocketsKey(roomId), socketId)) {
+      const empty = await redisClient.sCard(roomSocketsKey(roomId)) === 0;
+      if (empty) {
+        await redisClient.sRem('rooms:active', roomId);
+        await redisClient.del(roomParticipantsKey(roomId));
+      } else if (userId && !liveConnections.some(conn => conn.roomId === roomId)) {
+        await redisClient.sRem(roomParticipantsKey(roomId), userId);
+      }
+      rooms.push({ roomId, empty });
+    }
+  }
+
+  return rooms;
+}
@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+
+// Escalation runs against the real notifier (stub adapter) with the
+// database, Redis and models replaced by in-memory fakes
+
+const transaction = {};
+const sequelize = { transaction: jest.fn(async (fn) => await fn(transaction)) };
+const Emergency = { findAll: jest.fn() };
+const EmergencyAction = { create: jest.fn() };
+const User = { getAdminsForGroup: jest.fn() };
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.unstable_mockModule('../src/config/database.js', () => ({ sequelize }));
+jest.unstable_mockModule('../src/config/redis.js', () => ({ redisClient: {} }));
+jest.unstable_mockModule('../src/models/index.js', () => ({ Emergency, EmergencyAction, User }));
+jest.unstable_mockModule('../src/middleware/auth.js', () => ({ canAccessGroup: jest.fn(() => true) }));
+
+const notifierService = await import('../src/services/notifierService.js');
+const { escalateEmergencies } = await import('../src/jobs/emergencyEscalation.js');
+
+function fakeEmergency(overrides = {}) {
+  const emergency = {
+    id: 'e1',
+    jamaahGroup: 'kloter-1',
+    message: 'Tersesat di Masjidil Haram',
+    sender: { name: 'Ahmad', no_handphone: '0812-1111-2222' },
+    latitude: 21.4225,
+    longitude: 39.8262,
+    escalatedAt: null,
+    getLocation() {
+      return this.latitude === null ? null : { latitude: this.latitude, longitude: this.longitude };
+    },
+    update: jest.fn(async function(values) {
+      Object.assign(this, values);
+    }),
+    ...overrides
+  };
+  return emergency;
+}
+
+const admins = [
+  { id: 'a1', no_handphone: '081311112222' },
+  { id: 'a2', no_handphone: '+966 50 123 4567' }
+];
+
+describe('escalateEmergencies', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notifierService.clearStubOutbox();
+    delete process.env.NOTIFIER_ADAPTER;
+    process.env.NODE_ENV = 'test';
+    User.getAdminsForGroup.mockResolvedValue(admins);
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('pages every admin of the group and marks the incident escalated', async () => {
+    const emergency = fakeEmergency();
+    Emergency.findAll.mockResolvedValue([emergency]);
+
+    await expect(escalateEmergencies()).resolves.toBe(1);
+
+    expect(User.getAdminsForGroup).toHaveBeenCalledWith('kloter-1');
+
+    const outbox = notifierService.getStubOutbox();
+    expect(outbox.map(message => message.to)).toEqual(['+6281311112222', '+966501234567']);
+    expect(outbox[0].text).toContain('DARURAT: Ahmad (0812-1111-2222), jamaah kloter-1');
+    expect(outbox[0].text).toContain('Tersesat di Masjidil Haram');
+    expect(outbox[0].text).toContain('https://maps.google.com/?q=21.4225,39.8262');
+
+    expect(emergency.update).toHaveBeenCalledWith({ escalatedAt: expect.any(Date) }, { transaction });
+    expect(EmergencyAction.create).toHaveBeenCalledWith(expect.objectContaining({
+      emergencyId: 'e1',
+      action: 'escalated',
+      note: 'Notified 2 of 2 admins',
+      via: 'system'
+    }), { transaction });
+  });
+
+  test('only picks open, unescalated incidents older than the window', async () => {
+    Emergency.findAll.mockResolvedValue([]);
+
+    await expect(escalateEmergencies()).resolves.toBe(0);
+
+    const { where } = Emergency.findAll.mock.calls[0][0];
+    expect(where).toMatchObject({ status: 'open', escalatedAt: null });
+    expect(notifierService.getStubOutbox()).toEqual([]);
+  });
+
+  test('leaves the map link out when the sender shared no location', async () => {
+    Emergency.findAll.mockResolvedValue([fakeEmergency({ latitude: null, longitude: null })]);
+
+    await escalateEmergencies();
+
+    expect(notifierService.getStubOutbox()[0].text).not.toContain('maps.google.com');
+  });
+
+  test('a failed delivery still marks the incident escalated', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('gateway down'))
+      .mockResolvedValueOnce();
+    notifierService.registerAdapter('flaky', { send });
+    process.env.NOTIFIER_ADAPTER = 'flaky';
+
+    const emergency = fakeEmergency();
+    Emergency.findAll.mockResolvedValue([emergency]);
+
+    await escalateEmergencies();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(emergency.update).toHaveBeenCalledWith({ escalatedAt: expect.any(Date) }, { transaction });
+    expect(EmergencyAction.create).toHaveBeenCalledWith(
+      expect.objectContaining({ note: 'Notified 1 of 2 admins' }),
+      { transaction }
+    );
+  });
+
+  test('one failing incident does not stop the others', async () => {
+    const broken = fakeEmergency({ id: 'e1' });
+    broken.update.mockRejectedValue(new Error('connection lost'));
+    const next = fakeEmergency({ id: 'e2' });
+    Emergency.findAll.mockResolvedValue([broken, next]);
+
+    await expect(escalateEmergencies()).resolves.toBe(2);
+
+    expect(next.update).toHaveBeenCalled();
+    expect(EmergencyAction.create).toHaveBeenCalledWith(
+      expect.objectContaining({ emergencyId: 'e2' }),
+      { transaction }
+    );
+  });
+});
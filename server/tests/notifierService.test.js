@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: logger } = await import('../src/utils/logger.js');
+const notifierService = await import('../src/services/notifierService.js');
+
+describe('normalizePhoneNumber', () => {
+  test.each([
+    ['081234567890', '+6281234567890'],
+    ['0812-3456 789', '+628123456789'],
+    ['(0812) 3456-789', '+628123456789'],
+    ['+62 812 3456 789', '+628123456789'],
+    ['+966 50 123 4567', '+966501234567'],
+    ['6281234567890', '+6281234567890'],
+    [6281234567890, '+6281234567890']
+  ])('%p -> %p', (input, expected) => {
+    expect(notifierService.normalizePhoneNumber(input)).toBe(expected);
+  });
+});
+
+describe('sendMessage', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    notifierService.clearStubOutbox();
+    delete process.env.NOTIFIER_ADAPTER;
+    process.env.NODE_ENV = 'test';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('the stub records the normalized number and text', async () => {
+    await notifierService.sendMessage({ to: '0812 3456 789', text: 'DARURAT' });
+
+    expect(notifierService.getStubOutbox()).toEqual([
+      { to: '+628123456789', text: 'DARURAT', sentAt: expect.any(Date) }
+    ]);
+  });
+
+  test('the stub never logs the message text', async () => {
+    logger.info.mockClear();
+
+    await notifierService.sendMessage({ to: '0812', text: 'DARURAT: Ahmad (0812-1111-2222)' });
+
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('+62812'));
+    expect(logger.info.mock.calls.flat().join(' ')).not.toContain('Ahmad');
+  });
+
+  test('the stub outbox keeps only the latest messages', async () => {
+    for (let i = 0; i < 105; i++) {
+      await notifierService.sendMessage({ to: '0812', text: `message ${i}` });
+    }
+
+    const outbox = notifierService.getStubOutbox();
+    expect(outbox).toHaveLength(100);
+    expect(outbox[0].text).toBe('message 5');
+    expect(outbox[99].text).toBe('message 104');
+  });
+
+  test('the stub keeps nothing in memory in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    await notifierService.sendMessage({ to: '0812', text: 'DARURAT' });
+
+    expect(notifierService.getStubOutbox()).toEqual([]);
+  });
+
+  test('uses the adapter named by NOTIFIER_ADAPTER', async () => {
+    const adapter = { send: jest.fn() };
+    notifierService.registerAdapter('test-gateway', adapter);
+    process.env.NOTIFIER_ADAPTER = 'test-gateway';
+
+    await notifierService.sendMessage({ to: '0812', text: 'DARURAT' });
+
+    expect(adapter.send).toHaveBeenCalledWith({ to: '+62812', text: 'DARURAT' });
+    expect(notifierService.getStubOutbox()).toEqual([]);
+  });
+
+  test('rethrows adapter failures', async () => {
+    notifierService.registerAdapter('broken', { send: jest.fn().mockRejectedValue(new Error('timeout')) });
+    process.env.NOTIFIER_ADAPTER = 'broken';
+
+    await expect(notifierService.sendMessage({ to: '0812', text: 'DARURAT' })).rejects.toThrow('timeout');
+  });
+
+  test('rejects an unknown adapter', async () => {
+    process.env.NOTIFIER_ADAPTER = 'carrier-pigeon';
+
+    await expect(notifierService.sendMessage({ to: '0812', text: 'DARURAT' }))
+      .rejects.toThrow('Unknown notifier adapter: carrier-pigeon');
+  });
+});
+
+describe('checkNotifierConfig', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    logger.warn.mockClear();
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('warns in production without an adapter', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.NOTIFIER_ADAPTER;
+
+    notifierService.checkNotifierConfig();
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('NOTIFIER_ADAPTER'));
+  });
+
+  test('is quiet in production with a real adapter', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.NOTIFIER_ADAPTER = 'twilio-sms';
+
+    notifierService.checkNotifierConfig();
+
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('is quiet outside production', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.NOTIFIER_ADAPTER;
+
+    notifierService.checkNotifierConfig();
+
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+
+// Room open/close around sessions, with the models replaced by fakes
+
+const ScheduledSession = {
+  findInWindow: jest.fn(),
+  findNext: jest.fn(),
+  isScheduledRoom: jest.fn()
+};
+const Room = { findByPk: jest.fn() };
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.unstable_mockModule('../src/models/index.js', () => ({ ScheduledSession, Room }));
+
+const scheduleService = await import('../src/services/scheduleService.js');
+
+const HOUR = 60 * 60 * 1000;
+
+function fakeRoom(status = 'active') {
+  return {
+    id: 'r1',
+    name: 'kajian-subuh',
+    status,
+    update: jest.fn(async function(values) {
+      Object.assign(this, values);
+    })
+  };
+}
+
+// An open session whose window ended an hour ago
+function endedSession(room) {
+  const now = Date.now();
+  return {
+    id: 's1',
+    roomId: room.id,
+    room,
+    status: 'open',
+    opensAt: new Date(now - 3 * HOUR),
+    closesAt: new Date(now - HOUR),
+    isInWindow: () => false,
+    update: jest.fn(async function(values) {
+      Object.assign(this, values);
+    })
+  };
+}
+
+describe('syncSession after a session window', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ScheduledSession.findInWindow.mockResolvedValue(null);
+  });
+
+  test('closes the room when another session is still ahead', async () => {
+    const room = fakeRoom();
+    const session = endedSession(room);
+    ScheduledSession.findNext.mockResolvedValue({ id: 's2' });
+
+    await scheduleService.syncSession(session);
+
+    expect(session.status).toBe('closed');
+    expect(room.update).toHaveBeenCalledWith({ status: 'inactive' });
+  });
+
+  test('leaves the room open after the last session of the itinerary', async () => {
+    const room = fakeRoom();
+    const session = endedSession(room);
+    ScheduledSession.findNext.mockResolvedValue(null);
+
+    await scheduleService.syncSession(session);
+
+    expect(session.status).toBe('closed');
+    expect(room.update).not.toHaveBeenCalled();
+    expect(room.status).toBe('active');
+  });
+
+  test('keeps the room open while an overlapping session runs', async () => {
+    const room = fakeRoom();
+    const session = endedSession(room);
+    ScheduledSession.findInWindow.mockResolvedValue({ id: 's2' });
+
+    await scheduleService.syncSession(session);
+
+    expect(room.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('checkRoomWindow', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('a room whose itinerary is over is unrestricted', async () => {
+    ScheduledSession.isScheduledRoom.mockResolvedValue(false);
+
+    await expect(scheduleService.checkRoomWindow(fakeRoom())).resolves.toEqual({
+      scheduled: false, session: null, next: null
+    });
+  });
+
+  test('outside a window of a scheduled room, returns the next session', async () => {
+    const next = { id: 's2' };
+    ScheduledSession.isScheduledRoom.mockResolvedValue(true);
+    ScheduledSession.findInWindow.mockResolvedValue(null);
+    ScheduledSession.findNext.mockResolvedValue(next);
+
+    await expect(scheduleService.checkRoomWindow(fakeRoom())).resolves.toEqual({
+      scheduled: true, session: null, next
+    });
+  });
+});